@@ -4,16 +4,144 @@
 const MOD_ID = "tiny-hp-monitor";
 const MAX_NAME_CHARS = 25;
 const DEBOUNCE_MS = 350;
+const TRANSFER_WINDOW_MS = 1000;
+const SESSION_GAP_HOURS = 6;
+const ENCOUNTER_LOG_LIMIT = 20;
+
+// Every `kind` a monitor message can carry, with its label key (used for history filters)
+const KINDS = {
+  hp: "TINYHP.Kinds.hp",
+  temp: "TINYHP.Kinds.temp",
+  tempmax: "TINYHP.Kinds.tempmax",
+  hpmax: "TINYHP.Kinds.hpmax",
+  hpstate: "TINYHP.Kinds.hpstate",
+  currency: "TINYHP.Kinds.currency",
+  item: "TINYHP.Kinds.item",
+  deathsave: "TINYHP.Kinds.deathsave",
+  spellslot: "TINYHP.Kinds.spellslot",
+  spellprep: "TINYHP.Kinds.spellprep",
+  pactslot: "TINYHP.Kinds.pactslot",
+  hitdice: "TINYHP.Kinds.hitdice",
+  uses: "TINYHP.Kinds.uses",
+  exhaustion: "TINYHP.Kinds.exhaustion",
+  legendary: "TINYHP.Kinds.legendary",
+  heropoints: "TINYHP.Kinds.heropoints",
+  focus: "TINYHP.Kinds.focus",
+  stamina: "TINYHP.Kinds.stamina",
+  condition: "TINYHP.Kinds.condition",
+  shield: "TINYHP.Kinds.shield",
+  xp: "TINYHP.Kinds.xp",
+  level: "TINYHP.Kinds.level",
+  inspiration: "TINYHP.Kinds.inspiration",
+  effect: "TINYHP.Kinds.effect",
+  transfer: "TINYHP.Kinds.transfer",
+  rest: "TINYHP.Kinds.rest",
+  custom: "TINYHP.Kinds.custom"
+};
+
+// Trackers whose lines are folded into the dnd5e rest summary, each with an "also report" option
+const REST_TRACKERS = {
+  hp: { kinds: ["hp", "temp", "tempmax", "hpmax", "hpstate"] },
+  spellslot: { kinds: ["spellslot", "pactslot"] },
+  hitdice: { kinds: ["hitdice"] },
+  uses: { kinds: ["uses"] },
+  exhaustion: { kinds: ["exhaustion"] },
+  deathsave: { kinds: ["deathsave"] },
+  effect: { kinds: ["effect"] },
+  custom: { kinds: ["custom"] }
+};
+
+// Audience choices for the audience matrix and custom trackers ("default" falls back to the NPC audience setting)
+const AUDIENCES = {
+  "default": "TINYHP.Audience.default",
+  "gm": "TINYHP.Audience.gm",
+  "blind-gm": "TINYHP.Audience.blind-gm",
+  "gm-owners": "TINYHP.Audience.gm-owners",
+  "gm-observers": "TINYHP.Audience.gm-observers",
+  "gm-party": "TINYHP.Audience.gm-party",
+  "gm-players": "TINYHP.Audience.gm-players",
+  "public": "TINYHP.Audience.public"
+};
+
+// The shipped template of every kind; it reproduces the built-in line
+const DEFAULT_TEMPLATE = `{{{icon}}} <span class="tm-actor">{{{actor}}}</span> <span class="tm-text">{{{text}}}</span>{{{source}}}`;
+
+// Variables a message template can use, listed in the template editor
+const TEMPLATE_VARIABLES = ["icon", "actor", "name", "text", "label", "old", "new", "delta", "item", "kind", "source", "user", "round"];
+
+// Variables that hold markup and need triple braces; the others are plain text Handlebars escapes
+const HTML_TEMPLATE_VARIABLES = ["icon", "actor", "text", "label", "source"];
+
+// Kinds only posted as combined lines (see postTransferMessage), which no template applies to
+const UNTEMPLATED_KINDS = ["transfer"];
+
+// Kinds whose numbers are hidden from players when "Obscure NPC HP" is on
+const OBSCURED_KINDS = ["hp", "temp", "tempmax", "hpmax", "hpstate"];
+
+// Built-in wound levels: the first band whose minimum (% of max HP left) is reached applies
+const DEFAULT_WOUND_BANDS = [
+  { min: 100, key: "TINYHP.Wounds.Unhurt" },
+  { min: 75, key: "TINYHP.Wounds.Light" },
+  { min: 50, key: "TINYHP.Wounds.Wounded" },
+  { min: 25, key: "TINYHP.Wounds.Badly" },
+  { min: 1, key: "TINYHP.Wounds.NearDeath" },
+  { min: 0, key: "TINYHP.Wounds.Down" }
+];
 
 // -------------------------------
 // State & Storage
 // -------------------------------
 const ITEM_UPDATE_STASH = new WeakMap();
-const ITEM_DELETE_STASH = new WeakMap();
 
 // Debounce Maps: Key = Document UUID
 const ACTOR_DEBOUNCE = new Map();
 const ITEM_DEBOUNCE = new Map();
+const EFFECT_DEBOUNCE = new Map(); // Key = Actor UUID
+
+// Derived max HP before a pending actor, item or effect change, and pending max HP reports: Key = Actor UUID
+const MAX_HP_WATCH = new Map();
+const MAX_HP_DEBOUNCE = new Map();
+
+// History write queue: Key = Actor UUID
+const HISTORY_QUEUE = new Map();
+
+// Damage applied through the system (dnd5e): Key = Actor UUID
+const DAMAGE_STASH = new Map();
+const DAMAGE_CONTEXT_MS = 5000;
+
+// Actors in the middle of a dnd5e rest: Key = Actor UUID
+const RESTING = new Map();
+
+// Values a Revert is writing back, until their change is recorded: Key = Document UUID | path
+const REVERTING = new Map();
+
+// Nesting depth of api.withSilence() calls on this client
+let SILENCE_DEPTH = 0;
+
+// Pending transfer halves waiting for their counterpart: Key = item name / denomination
+const TRANSFER_BUFFER = new Map();
+
+// Multi-target grouping buffer: Key = kind | path | cls | recipients
+const GROUP_BUFFER = new Map();
+
+// Latest message that later changes of the same value may be folded into: Key = Document UUID | path
+const CONSOLIDATE = new Map();
+
+// Compiled message templates: Key = template source
+const TEMPLATE_CACHE = new Map();
+
+// GM relay: fallback timers of changes waiting for the GM's answer (Key = request id).
+// The protocol number changes whenever the relayed data does, so mismatched versions fall back.
+const SOCKET = `module.${MOD_ID}`;
+const RELAY_PROTOCOL = 2;
+const RELAY_TIMEOUT_MS = 5000;
+const RELAY_PENDING = new Map();
+
+// Requests the GM has answered: Key = request id, Value = server time of the request
+const RELAY_HANDLED = new Map();
+
+// User whose change is being reported, and the combat turn it was made in: Key = Actor UUID
+const CHANGE_ORIGIN = new Map();
 
 // -------------------------------
 // Utilities
@@ -32,6 +160,11 @@ function getActorLink(actor) {
   return `@UUID[${actor.uuid}]{${label}}`;
 }
 
+// A world setting, or `def` while it is not registered (yet) or unset
+function getWorldSetting(key, def = null) {
+  try { return game.settings.get(MOD_ID, key) ?? def; } catch { return def; }
+}
+
 function getWorldBool(key, def = false) {
   try { return Boolean(game.settings.get(MOD_ID, key)); } catch { return def; }
 }
@@ -43,32 +176,264 @@ function getWorldPath(key) {
   } catch { return null; }
 }
 
+// -------------------------------
+// Localization
+// -------------------------------
+
+/**
+ * Localizes a key. Object arguments ({ key, data }) are localized first, and a numeric `count`
+ * picks the plural form ("KEY.one", "KEY.other", ...) of the client language.
+ * Strings that are not keys (e.g. labels from third-party adapters) come back unchanged.
+ */
+function tmFormat(key, data = {}) {
+  const args = {};
+  const part = (v) => {
+    if (!v || typeof v !== "object") return v;
+    // Labels from the system config (e.g. damage types) are localized by the system on each client
+    if (v.configLabel) return foundry.utils.getProperty(CONFIG, v.configLabel)?.label ?? v.fallback ?? v.configLabel;
+    return tmFormat(v.key, v.data);
+  };
+  for (const [k, v] of Object.entries(data ?? {})) {
+    // Arrays are joined, so a list can mix localized parts and plain text
+    args[k] = Array.isArray(v) ? v.map(p => String(part(p) ?? "")).join("") : part(v);
+  }
+
+  let id = key;
+  if (typeof args.count === "number") {
+    const rule = new Intl.PluralRules(game.i18n.lang).select(args.count);
+    id = [`${key}.${rule}`, `${key}.other`].find(k => game.i18n.has(k)) ?? key;
+  }
+  return game.i18n.format(id, args);
+}
+
+/**
+ * A localized chat fragment. The key and arguments travel with the message, so every client
+ * renders the fragment in its own language (see localizeFragments).
+ */
+function tmText(key, data = {}) {
+  const args = foundry.utils.escapeHTML(JSON.stringify(data));
+  return `<span class="tm-i18n" data-tm-key="${key}" data-tm-args="${args}">${foundry.utils.escapeHTML(tmFormat(key, data))}</span>`;
+}
+
+/**
+ * Resource labels are keys or third-party [singular, plural] pairs.
+ */
+function labelArg(label, count) {
+  if (Array.isArray(label)) return count === 1 ? label[0] : label[1];
+  return { key: label, data: { count } };
+}
+
+function localizeFragments(root) {
+  for (const el of root.querySelectorAll(".tm-i18n[data-tm-key]")) {
+    let data = {};
+    try { data = JSON.parse(el.dataset.tmArgs || "{}"); } catch { continue; }
+    el.textContent = tmFormat(el.dataset.tmKey, data);
+  }
+}
+
+// -------------------------------
+// System Adapters
+// -------------------------------
+
+/**
+ * @typedef {object} SystemAdapter
+ * @property {string} [hpPath]              HP value path.
+ * @property {string|null} [tempPath]       Temp HP path.
+ * @property {string|null} [tempMaxPath]    Temp Max HP path.
+ * @property {string|null} [hpMaxPath]      Max HP path (also used for the bloodied / 0 HP states).
+ * @property {boolean} [damageSystem]       HP counts damage taken, so an increase is a loss.
+ * @property {boolean} [massiveDamage]      Report dnd5e-style instant death from massive damage.
+ * @property {{paths: string[], labels: Object<string, string>}} [currency]
+ *           Candidate base paths of the currency object and a label (or localization key) per denomination.
+ * @property {string} [inspirationPath]     Boolean inspiration path.
+ * @property {{successPath: string, failurePath: string, actorTypes?: string[]}} [deathSaves]
+ * @property {{level: number, path: string}[]} [spellSlots]
+ * @property {boolean} [spellPrep]          Items of type "spell" use dnd5e-style preparation data.
+ * @property {SystemResource[]} [resources] Limited resources on the actor or its items (pact slots, charges, ...).
+ * @property {object} [valuedConditions]    Conditions stored as items with a value (pf2e dying, wounded, ...):
+ *           { itemType, slugPath, valuePath, setting, slugs: { [slug]: { label, icon } } }
+ * @property {string} [xpPath]              Experience points path.
+ * @property {string} [levelPath]           Actor level path (ignored when it is derived, see classLevels).
+ * @property {{itemTypes: string[], path: string}} [classLevels]
+ *           Items that carry levels of their own (dnd5e classes); the actor level is their sum.
+ * @property {object[]} [trackers]          Extra watched attributes, same shape as the custom trackers
+ *                                          ({ id, label, path, icon, color, inverted, audience }).
+ */
+
+/**
+ * @typedef {object} SystemResource
+ * @property {string} key                   Unique within the adapter.
+ * @property {string} kind                  Message kind (see KINDS).
+ * @property {string|string[]} label        Localization key with plural forms, a plain label, or [singular, plural].
+ * @property {string} icon                  Font Awesome icon name (e.g. "fa-crown").
+ * @property {string} [setting]             World setting that toggles the resource.
+ * @property {"actor"|"item"} [scope]       Where the paths live (default "actor").
+ * @property {string[]} [actorTypes]        Only track these actor types.
+ * @property {string[]} [itemTypes]         Only track these item types (item scope).
+ * @property {string} valuePath             Remaining amount (may be derived).
+ * @property {string} [spentPath]           Stored "spent" counter the value is derived from.
+ * @property {string} [maxPath]             Maximum; items without a maximum are ignored.
+ * @property {"pool"|"counter"} [style]     Pools report used / regained, counters old → new.
+ * @property {string} [verb]                Verb key for a decreasing pool (default "TINYHP.Verb.Used").
+ * @property {string} [gainVerb]            Verb key for an increasing pool (default "TINYHP.Verb.Regained").
+ * @property {boolean} [inverted]           Counter where an increase is bad.
+ * @property {string} [brokenPath]          Broken threshold: crossing it reports broken / destroyed / repaired.
+ * @property {function(): boolean} [when]   Only track while this returns true (e.g. a variant rule).
+ */
+
+// Key = system id
+const ADAPTERS = new Map();
+
+/**
+ * Registers (or extends) the adapter for a game system.
+ * @param {string} systemId
+ * @param {SystemAdapter} adapter
+ */
+function registerAdapter(systemId, adapter) {
+  if (!systemId || typeof adapter !== "object") throw new Error(`[${MOD_ID}] registerAdapter needs a system id and an adapter object.`);
+  ADAPTERS.set(systemId, { ...ADAPTERS.get(systemId), ...adapter });
+}
+
+function getAdapter(systemId = game.system?.id) {
+  return ADAPTERS.get(systemId) ?? null;
+}
+
+function registerBuiltinAdapters() {
+  registerAdapter("dnd5e", {
+    hpPath: "system.attributes.hp.value",
+    tempPath: "system.attributes.hp.temp",
+    tempMaxPath: "system.attributes.hp.tempmax",
+    hpMaxPath: "system.attributes.hp.max",
+    massiveDamage: true,
+    currency: {
+      paths: ["system.currency"],
+      labels: { pp: "TINYHP.Currency.pp", gp: "TINYHP.Currency.gp", ep: "TINYHP.Currency.ep", sp: "TINYHP.Currency.sp", cp: "TINYHP.Currency.cp" }
+    },
+    inspirationPath: "system.attributes.inspiration",
+    deathSaves: { successPath: "system.attributes.death.success", failurePath: "system.attributes.death.failure", actorTypes: ["character"] },
+    spellSlots: [1, 2, 3, 4, 5, 6, 7, 8, 9].map(lvl => ({ level: lvl, path: `system.spells.spell${lvl}.value` })),
+    spellPrep: true,
+    xpPath: "system.details.xp.value",
+    levelPath: "system.details.level",
+    classLevels: { itemTypes: ["class"], path: "system.levels" },
+    resources: [
+      {
+        key: "pact", kind: "pactslot", label: "TINYHP.Resource.PactSlot", icon: "fa-hand-sparkles", verb: "TINYHP.Verb.Expended",
+        setting: "trackDnd5ePactSlots", valuePath: "system.spells.pact.value", maxPath: "system.spells.pact.max"
+      },
+      {
+        key: "exhaustion", kind: "exhaustion", label: "TINYHP.Resource.Exhaustion", icon: "fa-face-tired", style: "counter", inverted: true,
+        setting: "trackDnd5eExhaustion", valuePath: "system.attributes.exhaustion"
+      },
+      {
+        key: "legact", kind: "legendary", label: "TINYHP.Resource.LegendaryAction", icon: "fa-crown", actorTypes: ["npc"],
+        setting: "trackDnd5eLegendary", valuePath: "system.resources.legact.value", spentPath: "system.resources.legact.spent", maxPath: "system.resources.legact.max"
+      },
+      {
+        key: "legres", kind: "legendary", label: "TINYHP.Resource.LegendaryResistance", icon: "fa-shield", actorTypes: ["npc"],
+        setting: "trackDnd5eLegendary", valuePath: "system.resources.legres.value", spentPath: "system.resources.legres.spent", maxPath: "system.resources.legres.max"
+      },
+      {
+        key: "hd", kind: "hitdice", scope: "item", itemTypes: ["class"], label: "TINYHP.Resource.HitDie", icon: "fa-dice", verb: "TINYHP.Verb.Spent",
+        setting: "trackDnd5eHitDice", valuePath: "system.hd.value", spentPath: "system.hd.spent", maxPath: "system.hd.max"
+      },
+      {
+        key: "uses", kind: "uses", scope: "item", label: "TINYHP.Resource.Charge", icon: "fa-battery-half",
+        setting: "trackDnd5eItemUses", valuePath: "system.uses.value", spentPath: "system.uses.spent", maxPath: "system.uses.max"
+      }
+    ]
+  });
+
+  const pf2eStamina = () => {
+    try { return Boolean(game.settings.get("pf2e", "staminaVariant")); } catch { return false; }
+  };
+
+  registerAdapter("pf2e", {
+    hpPath: "system.attributes.hp.value",
+    tempPath: "system.attributes.hp.temp",
+    tempMaxPath: null,
+    hpMaxPath: "system.attributes.hp.max",
+    currency: {
+      paths: ["system.currencies", "system.currency"],
+      labels: { pp: "TINYHP.Currency.pp", gp: "TINYHP.Currency.gp", sp: "TINYHP.Currency.sp", cp: "TINYHP.Currency.cp" }
+    },
+    xpPath: "system.details.xp.value",
+    levelPath: "system.details.level.value",
+    resources: [
+      {
+        key: "hero", kind: "heropoints", label: "TINYHP.Resource.HeroPoint", icon: "fa-star", verb: "TINYHP.Verb.Spent", gainVerb: "TINYHP.Verb.Gained",
+        setting: "trackPf2eHeroPoints", valuePath: "system.resources.heroPoints.value", maxPath: "system.resources.heroPoints.max"
+      },
+      {
+        key: "focus", kind: "focus", label: "TINYHP.Resource.FocusPoint", icon: "fa-eye", verb: "TINYHP.Verb.Spent",
+        setting: "trackPf2eFocusPoints", valuePath: "system.resources.focus.value", maxPath: "system.resources.focus.max"
+      },
+      {
+        key: "stamina", kind: "stamina", label: "TINYHP.Resource.Stamina", icon: "fa-person-running", style: "counter", when: pf2eStamina,
+        setting: "trackPf2eStamina", valuePath: "system.attributes.hp.sp.value"
+      },
+      {
+        key: "resolve", kind: "stamina", label: "TINYHP.Resource.ResolvePoint", icon: "fa-fist-raised", verb: "TINYHP.Verb.Spent", when: pf2eStamina,
+        setting: "trackPf2eStamina", valuePath: "system.resources.resolve.value", maxPath: "system.resources.resolve.max"
+      },
+      {
+        key: "shield", kind: "shield", scope: "item", itemTypes: ["shield", "armor"], label: "TINYHP.Resource.ShieldHP", icon: "fa-shield-halved", style: "counter",
+        setting: "trackPf2eShields", valuePath: "system.hp.value", maxPath: "system.hp.max", brokenPath: "system.hp.brokenThreshold"
+      }
+    ],
+    valuedConditions: {
+      itemType: "condition",
+      slugPath: "system.slug",
+      valuePath: "system.value.value",
+      setting: "trackPf2eConditions",
+      slugs: {
+        dying: { label: "TINYHP.Condition.dying", icon: "fa-skull" },
+        wounded: { label: "TINYHP.Condition.wounded", icon: "fa-user-injured" },
+        doomed: { label: "TINYHP.Condition.doomed", icon: "fa-hourglass-end" }
+      }
+    }
+  });
+
+  registerAdapter("demonlord", {
+    hpPath: "system.characteristics.health.value",
+    tempPath: null,
+    tempMaxPath: "system.characteristics.health.max",
+    damageSystem: true
+  });
+
+  registerAdapter("shadowdark", {
+    hpPath: "system.hp.value",
+    tempPath: null,
+    tempMaxPath: null,
+    hpMaxPath: "system.hp.max"
+  });
+}
+
 function detectSystemPaths(sampleActor) {
-  const sys = game.system?.id || "";
+  const adapter = getAdapter();
 
-  if (sys === "dnd5e") {
+  if (adapter?.hpPath) {
     return {
-      hpPath: "system.attributes.hp.value",
-      tempPath: "system.attributes.hp.temp",
-      tempMaxPath: "system.attributes.hp.tempmax",
-      damageSystem: false
+      hpPath: adapter.hpPath,
+      tempPath: adapter.tempPath ?? null,
+      tempMaxPath: adapter.tempMaxPath ?? null,
+      maxPath: adapter.hpMaxPath ?? null,
+      damageSystem: Boolean(adapter.damageSystem)
     };
   }
 
-  if (sys === "demonlord") return { hpPath: "system.characteristics.health.value", tempPath: null, tempMaxPath: "system.characteristics.health.max", damageSystem: true};
-  if (sys === "pf2e") return { hpPath: "system.attributes.hp.value", tempPath: "system.attributes.hp.temp", tempMaxPath: null, damageSystem: false };
-  if (sys === "shadowdark") return { hpPath: "system.hp.value", tempPath: null, tempMaxPath: null, damageSystem: false };
-
   // Heuristic Probe
   const candidatesHP = ["system.attributes.hp.value", "system.hp.value", "system.health.value"];
   const candidatesTemp = ["system.attributes.hp.temp", "system.hp.temp"];
   const candidatesTempMax = ["system.attributes.hp.tempmax", "system.hp.tempmax"];
+  const candidatesMax = ["system.attributes.hp.max", "system.hp.max", "system.health.max"];
 
   const hpPath = candidatesHP.find(p => Number.isFinite(Number(foundry.utils.getProperty(sampleActor ?? {}, p)))) || null;
   const tempPath = candidatesTemp.find(p => Number.isFinite(Number(foundry.utils.getProperty(sampleActor ?? {}, p)))) || null;
   const tempMaxPath = candidatesTempMax.find(p => Number.isFinite(Number(foundry.utils.getProperty(sampleActor ?? {}, p)))) || null;
+  const maxPath = candidatesMax.find(p => Number.isFinite(Number(foundry.utils.getProperty(sampleActor ?? {}, p)))) || null;
 
-  return { hpPath, tempPath, tempMaxPath, damageSystem: false };
+  return { hpPath, tempPath, tempMaxPath, maxPath, damageSystem: false };
 }
 
 function resolvePaths(actor) {
@@ -77,22 +442,222 @@ function resolvePaths(actor) {
     hpPath: getWorldPath("hpPath"),
     tempPath: getWorldPath("tempHpPath"),
     tempMaxPath: getWorldPath("tempHpMaxPath"),
+    maxPath: getWorldPath("hpMaxPath"),
     damageSystem: false
   };
 }
 
-function getDnd5eInspirationPath() { return "system.attributes.inspiration"; }
-function getDnd5eDeathPaths() { return { successPath: "system.attributes.death.success", failurePath: "system.attributes.death.failure" }; }
+/**
+ * GM-defined watched attributes: { id, label, path, icon, color, inverted, audience }
+ */
+function getCustomTrackers() {
+  const trackers = getWorldSetting("customTrackers", []);
+  return (Array.isArray(trackers) ? trackers : []).filter(t => t?.id && typeof t.path === "string" && t.path.trim());
+}
+
+/**
+ * Custom trackers plus the extra trackers of the active system adapter.
+ */
+function getAllTrackers() {
+  const sys = game.system?.id;
+  const adapterTrackers = (getAdapter()?.trackers ?? [])
+    .filter(t => t?.id && t.path)
+    .map(t => ({ icon: "fa-solid fa-star", inverted: false, audience: "default", label: t.id, ...t, id: `${sys}.${t.id}` }));
+  return [...adapterTrackers, ...getCustomTrackers()];
+}
+
+/**
+ * Enabled adapter resources that apply to the given actor or item.
+ */
+function getResources(doc, scope = "actor") {
+  return (getAdapter()?.resources ?? []).filter(r =>
+    (r.scope ?? "actor") === scope
+    && (!r.setting || getWorldBool(r.setting, true))
+    && (!r.when || r.when())
+    && (!r.actorTypes || r.actorTypes.includes(scope === "item" ? doc.parent?.type : doc.type))
+    && (!r.itemTypes || r.itemTypes.includes(doc.type))
+    && (!r.maxPath || readNumber(doc, r.maxPath) > 0 || r.style === "counter")
+  );
+}
+
+function willUpdateResource(update, resource) {
+  return [resource.valuePath, resource.spentPath].some(p => willUpdatePath(update, p));
+}
+
+/**
+ * Stashes the current value of every resource the update touches: { [key]: value }
+ */
+function stashResources(doc, update, scope) {
+  const touched = getResources(doc, scope).filter(r => willUpdateResource(update, r));
+  return touched.length ? Object.fromEntries(touched.map(r => [r.key, readNumber(doc, r.valuePath)])) : null;
+}
+
+async function reportResources(actor, doc, resourcesOld, scope) {
+  if (!resourcesOld) return;
+  const link = getActorLink(actor);
+  const item = scope === "item" ? doc : null;
+
+  for (const resource of getAdapter()?.resources ?? []) {
+    const oldVal = resourcesOld[resource.key];
+    if (oldVal === undefined || (resource.scope ?? "actor") !== scope) continue;
+
+    const newVal = readNumber(doc, resource.valuePath);
+    const delta = newVal - oldVal;
+    if (delta === 0) continue;
+
+    const icon = `<i class="fa-solid ${resource.icon}"></i>`;
+    const abs = Math.abs(delta);
+    const max = resource.maxPath ? readNumber(doc, resource.maxPath) : null;
+    let text, cls;
+
+    if (resource.style === "counter") {
+      const sign = delta > 0 ? "+" : "-";
+      const label = tmText("TINYHP.Chat.Label", { label: labelArg(resource.label, newVal) });
+      text = getWorldBool("simpleOutput")
+        ? `${label}: ${sign} ${abs}`
+        : `${label}: ${oldVal} ${sign} ${abs} → ${newVal}`;
+      cls = (resource.inverted ? delta < 0 : delta > 0) ? "tiny-monitor-gain" : "tiny-monitor-loss";
+    } else {
+      const verb = delta < 0 ? (resource.verb ?? "TINYHP.Verb.Used") : (resource.gainVerb ?? "TINYHP.Verb.Regained");
+      const itemName = item ? ` (${foundry.utils.escapeHTML(clipName(item.name))})` : "";
+      const left = max !== null ? ` ${tmText("TINYHP.Chat.PoolLeft", { value: newVal, max })}` : "";
+      text = `${tmText("TINYHP.Chat.Pool", { verb: { key: verb }, amount: abs, label: labelArg(resource.label, abs) })}${itemName}${left}`;
+      cls = delta < 0 ? "tiny-monitor-resource-use" : "tiny-monitor-resource-regain";
+    }
+
+    // Revert writes the stored counter, not the derived value
+    const change = (resource.spentPath && max !== null)
+      ? { uuid: doc.uuid, path: resource.spentPath, old: max - oldVal, new: max - newVal }
+      : { uuid: doc.uuid, path: resource.valuePath, old: oldVal, new: newVal };
+
+    const itemLabel = (item && resource.style === "counter") ? `${foundry.utils.escapeHTML(clipName(item.name))} ` : "";
+    const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${itemLabel}${text}</span>`;
+    await postMonitorMessage(actor, line, cls, resource.kind, Boolean(item), { change, item });
+
+    if (resource.brokenPath) await reportBreakage(actor, doc, resource, oldVal, newVal);
+  }
+}
+
+/**
+ * Broken / destroyed / repaired transitions for resources with a broken threshold (pf2e shields).
+ */
+async function reportBreakage(actor, doc, resource, oldVal, newVal) {
+  const threshold = readNumber(doc, resource.brokenPath);
+  const stateOf = (v) => v <= 0 ? "destroyed" : (v <= threshold ? "broken" : "intact");
+  const before = stateOf(oldVal);
+  const after = stateOf(newVal);
+  if (before === after) return;
+
+  const key = { intact: "TINYHP.Chat.Repaired", broken: "TINYHP.Chat.Broken", destroyed: "TINYHP.Chat.Destroyed" }[after];
+  const cls = after === "intact" ? "tiny-monitor-gain" : (after === "destroyed" ? "tiny-monitor-dead" : "tiny-monitor-loss");
+  const line = `<i class="fa-solid ${resource.icon}"></i> <span class="tm-actor">${getActorLink(actor)}</span> <span class="tm-text">${tmText(key, { name: clipName(doc.name) })}</span>`;
+  await postMonitorMessage(actor, line, cls, resource.kind, true, { item: doc === actor ? null : doc, values: { old: before, new: after } });
+}
+
+// -------------------------------
+// Valued Conditions (PF2e dying / wounded / doomed)
+// -------------------------------
+
+function getValuedCondition(item) {
+  const cfg = getAdapter()?.valuedConditions;
+  if (!cfg || item.type !== cfg.itemType) return null;
+  if (cfg.setting && !getWorldBool(cfg.setting, true)) return null;
+  const slug = readRaw(item, cfg.slugPath);
+  const entry = cfg.slugs?.[slug];
+  return entry ? { ...entry, slug, valuePath: cfg.valuePath } : null;
+}
+
+// Conditions without a value (or value 0 while present) count as 1
+function readConditionValue(item, condition) {
+  return Math.max(1, readNumber(item, condition.valuePath));
+}
+
+async function reportCondition(actor, item, condition, oldVal, newVal) {
+  if (oldVal === newVal) return;
+  const link = getActorLink(actor);
+  const icon = `<i class="fa-solid ${condition.icon}"></i>`;
+
+  const label = { key: condition.label };
+  let text;
+  if (oldVal === 0) text = tmText("TINYHP.Chat.ConditionGained", { label, value: newVal });
+  else if (newVal === 0) text = tmText("TINYHP.Chat.ConditionLost", { label });
+  else text = `${tmText("TINYHP.Chat.Label", { label })}: ${oldVal} → ${newVal}`;
+
+  const cls = newVal > oldVal ? "tiny-monitor-loss" : "tiny-monitor-gain";
+  const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${text}</span>`;
+  await postMonitorMessage(actor, line, cls, "condition", false, { item, values: { old: oldVal, new: newVal } });
+}
+
+// -------------------------------
+// Experience & Levels
+// -------------------------------
+
+/**
+ * XP and level paths: the manual setting wins over the adapter, a disabled tracker yields null.
+ */
+function getProgressionPaths() {
+  const adapter = getAdapter();
+  return {
+    xpPath: getWorldBool("trackXp", true) ? (getWorldPath("xpPath") ?? adapter?.xpPath ?? null) : null,
+    levelPath: getWorldBool("trackLevels", true) ? (getWorldPath("levelPath") ?? adapter?.levelPath ?? null) : null
+  };
+}
+
+function getClassLevels(item) {
+  const cfg = getAdapter()?.classLevels;
+  if (!cfg || !getWorldBool("trackLevels", true) || !cfg.itemTypes?.includes(item.type)) return null;
+  return cfg;
+}
+
+// Sum of all class levels; computed from the items because the derived actor level may not be prepared yet
+function totalClassLevels(actor, cfg, { without = null } = {}) {
+  return actor.items
+    .filter(i => cfg.itemTypes.includes(i.type) && i.id !== without)
+    .reduce((sum, i) => sum + readNumber(i, cfg.path), 0);
+}
+
+async function reportXp(actor, oldXp, newXp, path) {
+  const delta = newXp - oldXp;
+  if (delta === 0) return;
+
+  const sign = delta > 0 ? "+" : "-";
+  const abs = Math.abs(delta);
+  const label = tmText("TINYHP.Label.XP");
+  const text = getWorldBool("simpleOutput")
+    ? `${label}: ${sign} ${abs}`
+    : `${label}: ${oldXp} ${sign} ${abs} → ${newXp}`;
+
+  const line = `<i class="fa-solid fa-book-open-reader"></i> <span class="tm-actor">${getActorLink(actor)}</span> <span class="tm-text">${text}</span>`;
+  await postMonitorMessage(actor, line, delta > 0 ? "tiny-monitor-xp" : "tiny-monitor-loss", "xp", false, { change: { uuid: actor.uuid, path, old: oldXp, new: newXp } });
+}
 
-function getDnd5eSpellSlotPaths() {
-  const levels = [1, 2, 3, 4, 5, 6, 7, 8, 9];
-  return levels.map(lvl => ({ level: lvl, path: `system.spells.spell${lvl}.value` }));
+/**
+ * Level ups and downs, of the actor itself or of a single class item.
+ * `total` is the resulting character level for class changes.
+ */
+async function reportLevel(actor, oldLvl, newLvl, { item = null, total = null, change = null } = {}) {
+  if (oldLvl === newLvl) return;
+  const up = newLvl > oldLvl;
+
+  const name = item ? clipName(item.name) : null;
+  let text;
+  if (!item) text = tmText(up ? "TINYHP.Chat.LevelUp" : "TINYHP.Chat.LevelDown", { level: newLvl });
+  else if (oldLvl === 0) text = tmText("TINYHP.Chat.ClassAdded", { name, level: newLvl });
+  else if (newLvl === 0) text = tmText("TINYHP.Chat.ClassRemoved", { name, level: oldLvl });
+  else text = tmText("TINYHP.Chat.ClassLevel", { name, old: oldLvl, new: newLvl });
+  if (total !== null) text += ` ${tmText("TINYHP.Chat.CharacterLevel", { level: total })}`;
+
+  const icon = `<i class="fa-solid ${up ? "fa-angles-up" : "fa-angles-down"}"></i>`;
+  const line = `${icon} <span class="tm-actor">${getActorLink(actor)}</span> <span class="tm-text">${text}</span>`;
+  await postMonitorMessage(actor, line, up ? "tiny-monitor-levelup" : "tiny-monitor-leveldown", "level", Boolean(item), {
+    item, change, values: change ? null : { old: oldLvl, new: newLvl }
+  });
 }
 
 function detectCurrencyInfo(actor) {
   const manualBase = getWorldPath("currencyBasePath");
-  const sys = game.system.id;
-  const candidates = manualBase ? [manualBase] : (sys === "pf2e" ? ["system.currencies", "system.currency"] : ["system.currency"]);
+  const currency = getAdapter()?.currency;
+  const candidates = manualBase ? [manualBase] : (currency?.paths ?? ["system.currency"]);
 
   let basePath = null, obj = null;
   for (const p of candidates) {
@@ -101,7 +666,7 @@ function detectCurrencyInfo(actor) {
   }
   if (!basePath) return { basePath: null, coins: [] };
 
-  const all = ["pp", "gp", "ep", "sp", "cp"];
+  const all = currency?.labels ? Object.keys(currency.labels) : ["pp", "gp", "ep", "sp", "cp"];
   const coins = all.filter(k => Object.prototype.hasOwnProperty.call(obj, k));
   return { basePath, coins };
 }
@@ -121,176 +686,2150 @@ function willUpdatePath(update, path) {
   return path && foundry.utils.hasProperty(update, path);
 }
 
-function buildRecipients(actor) {
-  const mode = game.settings.get(MOD_ID, "npcAudience") ?? "gm-owners";
-  const gmUsers = game.users.filter(u => u.isGM);
-  const owners = game.users.filter(u => actor.testUserPermission?.(u, CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER));
+/**
+ * The audience of a message: an explicit choice (custom trackers) wins over the audience matrix
+ * cell for kind × actor type, which wins over the NPC audience setting / GM + owners.
+ */
+function getAudienceMode(actor, kind, audience = null) {
+  if (audience && audience !== "default") return audience;
+
+  const cell = getWorldSetting("audienceMatrix", {})[kind]?.[actor.type];
+  if (cell && cell !== "default") return cell;
+
+  if (actor.type === "npc") return getWorldSetting("npcAudience", "gm-owners");
+  return "gm-owners";
+}
 
-  const uniq = (...lists) => [...new Map(lists.flat().map(u => [u.id, u])).values()];
+/**
+ * Members of every dnd5e group actor the actor belongs to (or of the group itself).
+ */
+function getPartyMembers(actor) {
+  const membersOf = (group) => (group.system?.members ?? []).map(m => m?.actor ?? m).filter(a => a instanceof Actor);
+  const groups = actor.type === "group"
+    ? [actor]
+    : game.actors.filter(a => a.type === "group" && membersOf(a).some(m => m.id === actor.id));
+  return groups.flatMap(membersOf);
+}
 
-  if (actor.type === "npc") {
-    if (mode === "gm") return gmUsers.map(u => u.id);
-    if (mode === "gm-players") return uniq(gmUsers, game.users.filter(u => !u.isGM)).map(u => u.id);
+/**
+ * Whisper recipients for an audience mode; an empty list means a public message.
+ */
+function buildRecipients(actor, mode = "gm-owners") {
+  const gmUsers = game.users.filter(u => u.isGM);
+  const withLevel = (doc, level) => game.users.filter(u => doc.testUserPermission?.(u, CONST.DOCUMENT_OWNERSHIP_LEVELS[level]));
+
+  const uniq = (...lists) => [...new Map(lists.flat().map(u => [u.id, u])).values()].map(u => u.id);
+
+  switch (mode) {
+    case "public": return [];
+    case "gm":
+    case "blind-gm": return uniq(gmUsers);
+    case "gm-players": return uniq(gmUsers, game.users.filter(u => !u.isGM));
+    case "gm-observers": return uniq(gmUsers, withLevel(actor, "OBSERVER"));
+    case "gm-party": return uniq(gmUsers, withLevel(actor, "OWNER"), ...getPartyMembers(actor).map(m => withLevel(m, "OWNER")));
+    default: return uniq(gmUsers, withLevel(actor, "OWNER"));
   }
-  return uniq(gmUsers, owners).map(u => u.id);
 }
 
-function coinLabel(denom, systemId) {
-  const labels = {
-    dnd5e: { pp: "Platinum", gp: "Gold", ep: "Electrum", sp: "Silver", cp: "Copper" },
-    pf2e: { pp: "Platinum", gp: "Gold", sp: "Silver", cp: "Copper" }
-  };
-  return labels[systemId]?.[denom] ?? denom.toUpperCase();
+// -------------------------------
+// Tracking Rules (Opt-Out / Opt-In)
+// -------------------------------
+
+function getTrackingRules() {
+  return { folders: [], types: [], dispositions: [], combatOnly: false, ...getWorldSetting("trackingRules", {}) };
+}
+
+function isInActiveCombat(actor) {
+  return game.combats.some(c => c.started && c.combatants.some(cb => cb.actor?.uuid === actor.uuid));
 }
 
 /**
- * Helper to post the chat message
+ * Whether the world rules let an actor be monitored: excluded folders (and their subfolders),
+ * actor types and token dispositions, and "NPCs only in combat".
  */
-async function postMonitorMessage(actor, line, cls, kind, isMultiline = false) {
-  const whisper = buildRecipients(actor);
-  const cssLine = isMultiline ? "tiny-monitor-line tm-multiline" : "tiny-monitor-line";
+function matchesTrackingRules(actor) {
+  const rules = getTrackingRules();
+  if (rules.types.includes(actor.type)) return false;
 
-  await ChatMessage.create({
-    content: `<div class="${cssLine}">${line}</div>`,
-    whisper,
-    flags: { [MOD_ID]: { isMonitorMsg: true, kind, cls } }
-  });
+  const folders = actor.folder ? [actor.folder, ...(actor.folder.ancestors ?? [])] : [];
+  if (folders.some(f => rules.folders.includes(f.id))) return false;
+
+  const disposition = (actor.token ?? actor.prototypeToken)?.disposition;
+  if (rules.dispositions.includes(disposition)) return false;
+
+  if (rules.combatOnly && !actor.hasPlayerOwner && !isInActiveCombat(actor)) return false;
+  return true;
 }
 
-// DnD5e Spell Prep Logic
-function dnd5eIsSpellPreparedLike(item) {
-  const method = String(readRaw(item, "system.method") ?? "");
-  const preparedVal = readRaw(item, "system.prepared");
-  const prepared = typeof preparedVal === "boolean" ? preparedVal : Boolean(preparedVal);
+/**
+ * The actor flag set from the sheet header wins over the world rules.
+ */
+function isTracked(actor) {
+  if (!actor) return false;
+  const flag = actor.getFlag(MOD_ID, "tracking");
+  return (typeof flag === "boolean") ? flag : matchesTrackingRules(actor);
+}
 
-  if (method === "prepared") return prepared;
-  if (method === "always") return true;
-  if (!method && typeof preparedVal !== "undefined") return prepared;
-  return false;
+// Only stores the flag when it differs from what the rules say, so later rule changes still apply
+async function toggleTracking(actor) {
+  const wanted = !isTracked(actor);
+  if (wanted === matchesTrackingRules(actor)) await actor.unsetFlag(MOD_ID, "tracking");
+  else await actor.setFlag(MOD_ID, "tracking", wanted);
+  ui.notifications.info(game.i18n.format(wanted ? "TINYHP.Tracking.Enabled" : "TINYHP.Tracking.Disabled", { name: actor.name }));
 }
 
-function computePreparedAfter(item, change) {
-  const has = (p) => foundry.utils.hasProperty(change, p);
-  const get = (p) => foundry.utils.getProperty(change, p);
+// -------------------------------
+// Pause & Silent Mode
+// -------------------------------
 
-  let methodGiven = has("system.method") ? String(get("system.method")) : (has("system.preparation.mode") ? String(get("system.preparation.mode")) : undefined);
-  let preparedGiven = has("system.prepared") ? Boolean(get("system.prepared")) : (has("system.preparation.prepared") ? Boolean(get("system.preparation.prepared")) : undefined);
+function isPaused() {
+  return getWorldBool("paused");
+}
 
-  if (preparedGiven !== undefined && methodGiven === undefined) methodGiven = "prepared";
+/**
+ * True if a change should not be tracked: the module is paused, this client is inside
+ * api.withSilence(), or the update was made with `{ "tiny-hp-monitor": { silent: true } }`.
+ */
+function isSilenced(options) {
+  return isPaused() || SILENCE_DEPTH > 0 || Boolean(options?.[MOD_ID]?.silent);
+}
 
-  if (methodGiven !== undefined) {
-    if (methodGiven === "always") return true;
-    if (methodGiven === "prepared") {
-      return preparedGiven !== undefined ? preparedGiven : Boolean(readRaw(item, "system.prepared"));
-    }
-    return false;
+async function setPaused(paused) {
+  if (!game.user.isGM) {
+    ui.notifications.warn("TINYHP.Pause.GMOnly", { localize: true });
+    return;
+  }
+  if (paused !== isPaused()) await game.settings.set(MOD_ID, "paused", paused);
+}
+
+/**
+ * Runs `fn` without tracking any change this client makes until it settles.
+ * Changes by other users in the meantime are still reported.
+ */
+async function withSilence(fn) {
+  SILENCE_DEPTH++;
+  try {
+    return await fn();
+  } finally {
+    SILENCE_DEPTH--;
   }
-  return dnd5eIsSpellPreparedLike(item);
 }
 
 // -------------------------------
-// Settings
+// Obscured NPC HP
 // -------------------------------
 
-Hooks.once("init", () => {
-  // -------------------------------------------------------------------
-  // 1. General Settings
-  // -------------------------------------------------------------------
-
-  game.settings.register(MOD_ID, "simpleOutput", {
-    name: "Simplified Output",
-    hint: "If enabled, logs will only show the adjustment amount (e.g., '+5') instead of the full transition (e.g., '10 + 5 -> 15'). This provides a cleaner, less verbose chat log.",
-    scope: "world", config: true, type: Boolean, default: false
-  });
+/**
+ * Splits the recipients of an HP line on an actor without player owner into GMs and players.
+ * Returns null when nothing needs to be hidden.
+ */
+function splitObscured(actor, kind, whisper) {
+  if (!OBSCURED_KINDS.includes(kind) || !getWorldBool("obscureNpcHp") || actor.hasPlayerOwner) return null;
+  const recipients = whisper?.length ? whisper.map(id => game.users.get(id)).filter(Boolean) : game.users.contents;
+  const players = recipients.filter(u => !u.isGM);
+  if (!players.length) return null;
+  return { gm: recipients.filter(u => u.isGM).map(u => u.id), players: players.map(u => u.id) };
+}
 
-  game.settings.register(MOD_ID, "npcAudience", {
-    name: "NPC Message Audience",
-    hint: "Determines which users receive chat messages for changes to NPC actors. 'GM only' is private, while 'GM + all players' shares all NPC changes publicly.",
-    scope: "world", config: true, type: String,
-    choices: { "gm": "GM only", "gm-players": "GM + all players", "gm-owners": "GM + owners (default)" },
-    default: "gm-owners"
-  });
+/**
+ * Wound bands from the setting ("100=is unhurt; 50=looks wounded; 0=is down"), or the built-in ones.
+ */
+function getWoundBands() {
+  const parsed = String(getWorldSetting("woundBands", "")).split(/[;\n]/)
+    .map(part => part.match(/^\s*(\d+)\s*=\s*(.+?)\s*$/))
+    .filter(Boolean)
+    .map(m => ({ min: Number(m[1]), text: m[2] }));
+  return (parsed.length ? parsed : DEFAULT_WOUND_BANDS).sort((a, b) => b.min - a.min);
+}
 
-  game.settings.register(MOD_ID, "trackCurrency", {
-    name: "Track Currency",
-    hint: "If enabled, the module will monitor and log changes to actor currency (Gold, Silver, Platinum, etc.).",
-    scope: "world", config: true, type: Boolean, default: true
-  });
+/**
+ * "Goblin looks badly wounded": the wound band of the HP left, or null without a max HP.
+ */
+function describeWounds(actor, hp, { maxPath, damageSystem }) {
+  const max = maxPath ? readNumber(actor, maxPath) : 0;
+  if (max <= 0) return null;
+
+  // Rounded down, so only full HP reaches the 100% band, and clamped to 1% while any HP is left
+  const left = damageSystem ? max - hp : hp;
+  const pct = left > 0 ? Math.max(1, Math.floor(left / max * 100)) : 0;
+  const bands = getWoundBands();
+  const band = bands.find(b => pct >= b.min) ?? bands.at(-1);
+  return band.key ? tmText(band.key) : foundry.utils.escapeHTML(band.text);
+}
 
-  game.settings.register(MOD_ID, "trackItemChanges", {
-    name: "Track Item Changes",
-    hint: "If enabled, the module will monitor and log changes to items, including quantity updates, additions, deletions, and renaming.",
-    scope: "world", config: true, type: Boolean, default: true
-  });
+function coinLabel(denom, systemId) {
+  return getAdapter(systemId)?.currency?.labels?.[denom] ?? denom.toUpperCase();
+}
 
-  // -------------------------------------------------------------------
-  // 2. DnD5e Specific Settings
-  // -------------------------------------------------------------------
+// -------------------------------
+// Message Templates
+// -------------------------------
 
-  game.settings.register(MOD_ID, "trackDnd5eInspiration", {
-    name: "Track Inspiration (DnD5e)",
-    hint: "If enabled, logs when a DnD5e character gains or uses Heroic Inspiration.",
-    scope: "world", config: true, type: Boolean, default: true
-  });
+function getMessageTemplates() {
+  return getWorldSetting("messageTemplates", {});
+}
 
-  game.settings.register(MOD_ID, "trackDnd5eDeathSaves", {
-    name: "Track Death Saves (DnD5e PCs)",
-    hint: "If enabled, logs successes and failures for Death Saving Throws on DnD5e characters.",
-    scope: "world", config: true, type: Boolean, default: true
-  });
+/**
+ * Splits a built-in line into icon, actor, text and trailing source markup.
+ * Returns null for lines without the usual tm-actor / tm-text structure.
+ */
+function splitLine(line) {
+  const div = document.createElement("div");
+  div.innerHTML = line;
+  const actor = div.querySelector(":scope > .tm-actor");
+  const text = div.querySelector(":scope > .tm-text");
+  if (!actor || !text) return null;
+
+  const icon = div.querySelector(":scope > i:first-child");
+  let source = "";
+  for (let node = text.nextSibling; node; node = node.nextSibling) source += node.outerHTML ?? node.textContent;
+  return { icon: icon?.outerHTML ?? "", actor: actor.innerHTML, text: text.innerHTML, source };
+}
 
-  game.settings.register(MOD_ID, "trackDnd5eSpellPrep", {
-    name: "Track Spell Preparation (DnD5e)",
-    hint: "If enabled, logs when spells are prepared or unprepared on DnD5e characters.",
-    scope: "world", config: true, type: Boolean, default: true
-  });
+/**
+ * The template variables of a line. Numbers are raw, `delta` is signed ("+5", "−3").
+ * Names are plain text, escaped by Handlebars like any double-brace value.
+ */
+function templateData(line, kind, { actor, item = null, old = null, new: newVal = null, combat = null, userId = game.userId }) {
+  const parts = splitLine(line);
+  if (!parts) return null;
+  const numeric = typeof old === "number" && typeof newVal === "number";
+  const delta = numeric ? newVal - old : null;
+  return {
+    ...parts,
+    name: clipName((actor.token || actor.getActiveTokens()[0])?.name || actor.name),
+    label: lineLabel(line, kind),
+    old, new: newVal,
+    delta: delta === null ? "" : `${delta > 0 ? "+" : "−"}${Math.abs(delta)}`,
+    item: item ? clipName(item.name) : "",
+    kind,
+    user: game.users.get(userId)?.name ?? "",
+    round: combat?.round ?? ""
+  };
+}
 
-  game.settings.register(MOD_ID, "trackDnd5eSpellSlots", {
-    name: "Track Spell Slots (DnD5e)",
-    hint: "If enabled, logs when DnD5e spell slots are expended or regained.",
-    scope: "world", config: true, type: Boolean, default: true
-  });
+function renderTemplate(template, data) {
+  let compiled = TEMPLATE_CACHE.get(template);
+  if (!compiled) {
+    compiled = Handlebars.compile(template);
+    TEMPLATE_CACHE.set(template, compiled);
+  }
+  return compiled(data).trim();
+}
+
+/**
+ * Applies the world's template for a kind. Kinds without one, lines that do not split into
+ * parts and broken templates keep the built-in line.
+ */
+function applyTemplate(line, kind, context) {
+  const template = getMessageTemplates()[kind];
+  if (!template) return line;
+  const data = templateData(line, kind, context);
+  if (!data) return line;
+  try {
+    return renderTemplate(template, data) || line;
+  } catch (err) {
+    console.warn(`[${MOD_ID}] Template for "${kind}" failed:`, err);
+    return line;
+  }
+}
+
+/**
+ * @typedef {object} MonitorChangeEvent
+ * Payload of the `tinyHpMonitor.change` and `tinyHpMonitor.preMessage` hooks.
+ * @property {Actor} actor          The actor the change belongs to.
+ * @property {Item|null} item       The item, for item-level changes.
+ * @property {string} kind          One of the KINDS keys (hp, temp, currency, item, ...).
+ * @property {string|null} path     Data path that changed, if there is a single one.
+ * @property {*} old                Value before the change.
+ * @property {*} new                Value after the change.
+ * @property {number|null} delta    new - old for numeric changes.
+ * @property {object|null} source   What caused an HP change ({ messageId, attacker, item, types, modifiers }).
+ * @property {string} userId        User whose update caused the change.
+ * @property {object|null} combat   Combat the actor took part in when the change was made ({ id, round, turn, combatant }).
+ * @property {string} line          The chat line (HTML) that will be posted.
+ */
+
+/**
+ * Helper to post the chat message.
+ * `change` is the structured before/after record ({ uuid, path, old, new }) used by the Revert control.
+ * `values` carries old/new for changes that cannot be reverted by a single update (item creation etc.),
+ * and takes precedence over `change` for the shown values when both are given.
+ * `audience` overrides the audience matrix, `whisper` replaces the recipient list entirely,
+ * `color` overrides the background of the `cls` theme, `source` describes what caused an HP change.
+ * `obscured` is the line for players who may not see the numbers (see splitObscured):
+ * undefined sends them `line` unchanged, null sends them nothing.
+ */
+async function postMonitorMessage(actor, line, cls, kind, isMultiline = false, { change = null, values = null, item = null, source = null, audience = null, whisper = null, color = null, obscured } = {}) {
+  const cssLine = isMultiline ? "tiny-monitor-line tm-multiline" : "tiny-monitor-line";
+  const oldVal = values ? values.old : change?.old;
+  const newVal = values ? values.new : change?.new;
+  const origin = CHANGE_ORIGIN.get(actor.uuid);
+  const combat = origin ? origin.combat : getCombatContext(actor);
+  const userId = origin?.userId ?? game.userId;
+  const base = line;
+  line = applyTemplate(base, kind, { actor, item, old: oldVal, new: newVal, combat, userId });
+  // The wound line must not give the numbers away through the template either
+  if (obscured) obscured = applyTemplate(obscured, kind, { actor, item, combat, userId });
+
+  /** @type {MonitorChangeEvent} */
+  const event = {
+    actor, item, kind,
+    path: change?.path ?? null,
+    old: oldVal,
+    new: newVal,
+    delta: (typeof oldVal === "number" && typeof newVal === "number") ? newVal - oldVal : null,
+    source,
+    userId,
+    combat,
+    line
+  };
+  Hooks.callAll("tinyHpMonitor.change", event);
+
+  const historyId = queueHistory(actor, { kind, cls, color, line, change, combat: event.combat, userId, revert: takeRevertMark(change) });
+  const history = historyId ? [{ actor: actor.uuid, id: historyId }] : [];
+  if (isHeldForRest(actor, kind)) return;
+
+  const mode = getAudienceMode(actor, kind, audience);
+  // Only a GM can post what the player must not see; without one the change is kept in the history only
+  if (mode === "blind-gm" && !whisper && !game.user.isGM) return;
+
+  const messageData = {
+    content: `<div class="${cssLine}">${line}</div>`,
+    whisper: whisper ?? buildRecipients(actor, mode),
+    flags: { [MOD_ID]: { isMonitorMsg: true, kind, cls, color, source, combat: event.combat, changes: change ? [change] : [], history } }
+  };
+
+  // Listeners may rewrite messageData in place or return false to suppress the message
+  if (Hooks.call("tinyHpMonitor.preMessage", messageData, event) === false) return;
+
+  // Players who may not see the numbers get their own version; the numeric one goes to the GMs
+  const split = splitObscured(actor, kind, messageData.whisper);
+  if (split) {
+    if (obscured !== null) {
+      await ChatMessage.create({
+        content: `<div class="${cssLine}">${obscured ?? line}</div>`,
+        whisper: split.players,
+        flags: { [MOD_ID]: { isMonitorMsg: true, kind, cls, color, combat: event.combat, obscured: true, changes: [] } }
+      });
+    }
+    if (!split.gm.length) return;
+    messageData.whisper = split.gm;
+  }
+
+  if (getWorldBool("detectTransfers", true) && matchTransfer(messageData, event, change, base)) return;
+  await deliverMessage(messageData, event, change, base);
+}
+
+/**
+ * Posts a finished message, folding it into an earlier one or grouping it with others where enabled.
+ * `base` is the built-in line before the template, which combined lines are rebuilt from.
+ */
+async function deliverMessage(messageData, event, change, base) {
+  const consolidate = Boolean(change) && event.delta !== null && !event.item && getConsolidateMode() !== "off";
+  if (consolidate && await consolidateMessage(messageData, event, change)) return;
+
+  if (getWorldBool("groupMultiTarget") && change && event.delta !== null && !event.item) {
+    queueGroupedMessage(messageData, event, change, base);
+    return;
+  }
+  const message = await ChatMessage.create(messageData);
+  if (consolidate && message) rememberForConsolidation(message, messageData, event, change, base);
+}
+
+// -------------------------------
+// GM Relay (Socket)
+// -------------------------------
+
+/**
+ * Whether any audience is "blind GM". Such messages must be posted by a GM: a whisper to the GMs
+ * that a player creates is still shown to that player.
+ */
+function usesBlindAudience() {
+  const matrix = getWorldSetting("audienceMatrix", {});
+  return Object.values(matrix).some(row => Object.values(row ?? {}).includes("blind-gm"))
+    || getWorldSetting("npcAudience") === "blind-gm"
+    || getAllTrackers().some(t => t.audience === "blind-gm");
+}
+
+// The active GM that should report this client's changes, if relaying applies
+function getRelayGM() {
+  if (!getWorldBool("gmRelay") && !usesBlindAudience()) return null;
+  const gm = game.users.activeGM;
+  return (gm && !gm.isSelf) ? gm : null;
+}
+
+/**
+ * What builds and posts the messages for each kind of change, and the document it is about.
+ * The data is plain and serializable, so a player's change can be handed to the GM as is.
+ */
+const CHANGE_HANDLERS = {
+  actor: { documentName: "Actor", handle: queueActorUpdate },
+  maxHp: { documentName: "Actor", handle: queueMaxHp },
+  itemCreate: { documentName: "Item", handle: reportItemCreated },
+  itemUpdate: { documentName: "Item", handle: queueItemUpdate },
+  itemDelete: { documentName: "Actor", handle: reportItemDeleted },
+  spellPrep: { documentName: "Item", handle: reportSpellPrep },
+  effect: { documentName: "Actor", handle: queueEffectChange },
+  restStart: { documentName: "Actor", handle: startRest },
+  restEnd: { documentName: "Actor", handle: reportRest }
+};
+
+/**
+ * Reports a tracked change. With "GM Relay", a player sends the change itself (document, old values)
+ * to the active GM, who composes and posts the messages; without a GM, or without an answer in time
+ * (GM on another module version, lost connection), the change is reported here.
+ */
+function dispatchChange(type, doc, data) {
+  // The turn is taken now: the message may only be posted after the combat moved on
+  const actor = doc instanceof Actor ? doc : doc.parent;
+  data = { combat: getCombatContext(actor), ...data };
+  if (!getRelayGM()) return runChange(type, doc, data, game.userId);
+
+  const id = foundry.utils.randomID();
+  RELAY_PENDING.set(id, setTimeout(() => {
+    RELAY_PENDING.delete(id);
+    runChange(type, doc, data, game.userId);
+  }, RELAY_TIMEOUT_MS));
+  game.socket.emit(SOCKET, { action: "change", protocol: RELAY_PROTOCOL, id, time: game.time.serverTime, type, uuid: doc.uuid, data });
+}
+
+function runChange(type, doc, data, userId) {
+  const actor = doc instanceof Actor ? doc : doc.parent;
+  CHANGE_ORIGIN.set(actor.uuid, { userId, combat: data.combat ?? null });
+  return CHANGE_HANDLERS[type].handle(doc, data);
+}
+
+/**
+ * Whether a relayed request is fresh and not yet answered. Requests older than half the fallback
+ * delay are left to the sender, so a late answer cannot make both sides post the same change.
+ */
+function claimRelayRequest(request) {
+  const now = game.time.serverTime;
+  for (const [id, time] of RELAY_HANDLED) {
+    if (now - time > RELAY_TIMEOUT_MS) RELAY_HANDLED.delete(id);
+  }
+  if (!Number.isFinite(request.time) || now - request.time > RELAY_TIMEOUT_MS / 2) return false;
+  if (RELAY_HANDLED.has(request.id)) return false;
+  RELAY_HANDLED.set(request.id, request.time);
+  return true;
+}
+
+/**
+ * Socket handler. The sender id is supplied by the server, not by the request, and the change is only
+ * reported if that user could have updated the actor it is about. Relayed data is used as is: names
+ * are escaped where lines are built, as for local changes.
+ */
+function handleRelayRequest(request, senderId) {
+  if (request?.action === "ack") {
+    clearTimeout(RELAY_PENDING.get(request.id));
+    RELAY_PENDING.delete(request.id);
+    return;
+  }
+  if (request?.action !== "change" || request.protocol !== RELAY_PROTOCOL || !game.users.activeGM?.isSelf) return;
+
+  const handler = Object.hasOwn(CHANGE_HANDLERS, request.type) ? CHANGE_HANDLERS[request.type] : null;
+  const doc = handler ? fromUuidSync(request.uuid) : null;
+  if (!doc || doc.documentName !== handler.documentName) return;
+
+  const sender = game.users.get(senderId);
+  const actor = doc instanceof Actor ? doc : doc.parent;
+  if (!sender || !(actor instanceof Actor) || !actor.canUserModify(sender, "update")) return;
+  if (!claimRelayRequest(request)) return;
+
+  game.socket.emit(SOCKET, { action: "ack", id: request.id });
+  runChange(request.type, doc, request.data ?? {}, sender.id);
+}
+
+// -------------------------------
+// Transfers Between Actors
+// -------------------------------
+
+/**
+ * What an event moves, if it could be one half of a transfer: items added / removed / changed in
+ * quantity, and currency deltas.
+ */
+function getTransferInfo(event) {
+  if (event.delta === null || event.delta === 0) return null;
+  if (event.kind === "item" && event.item && event.path !== "name") {
+    return { key: `item:${event.item.name}`, name: event.item.name, isCurrency: false, amount: event.delta };
+  }
+  if (event.kind === "currency" && event.path) {
+    const denom = event.path.split(".").pop();
+    return { key: `currency:${denom}`, name: denom, isCurrency: true, amount: event.delta };
+  }
+  return null;
+}
+
+/**
+ * Whether the other half of a transfer could still be reported on this client. Players report the
+ * changes they make themselves, so they need another tracked actor of their own; the GM makes or
+ * (through the relay) reports changes on any actor.
+ */
+function canCompleteTransfer(event) {
+  if (game.user.isGM) return true;
+  return game.actors.some(a => a.uuid !== event.actor.uuid && a.isOwner && isTracked(a));
+}
+
+function logDeliveryError(err) {
+  console.error(`[${MOD_ID}] Could not post a monitor message:`, err);
+}
+
+/**
+ * Holds a removal or addition for TRANSFER_WINDOW_MS. When the opposite half shows up on another
+ * actor in that window, both are posted as one "A → B" line; otherwise the original message goes
+ * the usual way. Returns true if the message was taken over.
+ */
+function matchTransfer(messageData, event, change, base) {
+  const info = getTransferInfo(event);
+  if (!info) return false;
+
+  const queue = TRANSFER_BUFFER.get(info.key) ?? [];
+  const idx = queue.findIndex(p => p.info.amount === -info.amount && p.event.actor.uuid !== event.actor.uuid);
+
+  if (idx >= 0) {
+    const [other] = queue.splice(idx, 1);
+    clearTimeout(other.timer);
+    if (!queue.length) TRANSFER_BUFFER.delete(info.key);
+
+    const [from, to] = info.amount < 0 ? [{ messageData, event }, other] : [other, { messageData, event }];
+    postTransferMessage(from, to, info).catch(logDeliveryError);
+    return true;
+  }
+  if (!canCompleteTransfer(event)) return false;
+
+  const pending = { messageData, event, change, base, info, timer: null };
+  pending.timer = setTimeout(() => {
+    const rest = (TRANSFER_BUFFER.get(info.key) ?? []).filter(p => p !== pending);
+    if (rest.length) TRANSFER_BUFFER.set(info.key, rest);
+    else TRANSFER_BUFFER.delete(info.key);
+    deliverMessage(messageData, event, change, base).catch(logDeliveryError);
+  }, TRANSFER_WINDOW_MS);
+
+  queue.push(pending);
+  TRANSFER_BUFFER.set(info.key, queue);
+  return true;
+}
+
+async function postTransferMessage(from, to, info) {
+  const abs = Math.abs(info.amount);
+  const what = info.isCurrency
+    ? `${abs} ${tmText(coinLabel(info.name, game.system.id))}`
+    : `${foundry.utils.escapeHTML(clipName(info.name))}${abs > 1 ? ` ×${abs}` : ""}`;
+
+  // Both owners get the line; a public half makes the whole transfer public
+  const whispers = [from.messageData.whisper ?? [], to.messageData.whisper ?? []];
+  const whisper = whispers.some(w => !w.length) ? [] : [...new Set(whispers.flat())];
+
+  const line = `<i class="fa-solid fa-right-left"></i> <span class="tm-actor">${getActorLink(from.event.actor)} → ${getActorLink(to.event.actor)}</span> <span class="tm-text">${what}</span>`;
+  await ChatMessage.create({
+    content: `<div class="tiny-monitor-line tm-multiline">${line}</div>`,
+    whisper,
+    flags: {
+      [MOD_ID]: {
+        isMonitorMsg: true, kind: "transfer", cls: "tiny-monitor-transfer", combat: to.event.combat,
+        changes: [...(from.messageData.flags[MOD_ID].changes ?? []), ...(to.messageData.flags[MOD_ID].changes ?? [])],
+        history: [...(from.messageData.flags[MOD_ID].history ?? []), ...(to.messageData.flags[MOD_ID].history ?? [])]
+      }
+    }
+  });
+}
+
+// -------------------------------
+// Multi-Target Grouping
+// -------------------------------
+
+// The leading icon of a chat line
+function lineIcon(line) {
+  return line.match(/^\s*<i [^>]*><\/i>/)?.[0]?.trim() ?? "";
+}
+
+// The "Label:" part of a chat line, falling back to the kind's name
+function lineLabel(line, kind) {
+  return line.match(/<span class="tm-text">(<span class="tm-i18n"[^>]*>[^<]*<\/span>|[^:<]+):/)?.[1] ?? tmText(KINDS[kind] ?? kind);
+}
+
+function audienceKeyOf(messageData) {
+  return [...(messageData.whisper ?? [])].sort().join(",");
+}
+
+/**
+ * Collects numeric changes of the same kind and audience that land within the debounce window.
+ * Changes on a single actor are posted as usual, changes on several actors become one card.
+ */
+function queueGroupedMessage(messageData, event, change, base) {
+  const { kind, cls } = messageData.flags[MOD_ID];
+  const key = `${kind}|${event.path}|${cls}|${audienceKeyOf(messageData)}`;
+
+  const pending = GROUP_BUFFER.get(key) ?? { entries: [], timer: null };
+  if (pending.timer) clearTimeout(pending.timer);
+  pending.entries.push({ messageData, event, change, base });
+
+  pending.timer = setTimeout(() => {
+    GROUP_BUFFER.delete(key);
+    flushGroupedMessages(pending.entries).catch(logDeliveryError);
+  }, DEBOUNCE_MS);
+
+  GROUP_BUFFER.set(key, pending);
+}
+
+/**
+ * The card entry of one actor. Several changes of the actor in the window run from the first old
+ * value to the last new one, so the card shows the actor once and Revert restores the first value.
+ */
+function mergeGroupEntries(list) {
+  const first = list[0];
+  const last = list.at(-1);
+  const history = list.flatMap(e => e.messageData.flags[MOD_ID].history ?? []);
+  if (list.length === 1) return { event: first.event, change: first.change, history };
+
+  const event = { ...last.event, old: first.event.old, delta: last.event.new - first.event.old };
+  const deltas = list.map(e => e.event.delta);
+  const source = event.source ? formatDamageSource(event.source) : "";
+  const built = formatValueLine(lineIcon(first.base), getActorLink(event.actor), lineLabel(first.base, event.kind), event.old, event.new, { deltas, source });
+  event.line = applyTemplate(built, event.kind, { actor: event.actor, item: event.item, old: event.old, new: event.new, combat: event.combat, userId: event.userId });
+  return { event, change: { ...last.change, old: first.change.old }, history };
+}
+
+async function flushGroupedMessages(entries) {
+  const actorCount = new Set(entries.map(e => e.event.actor.uuid)).size;
+  if (actorCount < 2) {
+    // Lines that end up on their own start a consolidation chain like any other line;
+    // a group line does not, the next change of each value starts a new one
+    const consolidate = getConsolidateMode() !== "off";
+    for (const { messageData, event, change, base } of entries) {
+      const message = await ChatMessage.create(messageData);
+      if (consolidate && message) rememberForConsolidation(message, messageData, event, change, base);
+    }
+    return;
+  }
+
+  const first = entries[0];
+  const { kind, cls, color } = first.messageData.flags[MOD_ID];
+  const merged = [...Map.groupBy(entries, e => e.event.actor.uuid).values()].map(mergeGroupEntries);
+  let content;
+  if (getMessageTemplates()[kind]) {
+    // A templated kind keeps each actor's own templated line
+    content = merged.map(({ event }) => `<div class="tm-group-entry">${event.line}</div>`).join("");
+  } else {
+    const icon = lineIcon(first.base);
+    const sourceItems = new Set(entries.map(e => e.event.source?.item ?? null));
+    const sharedSource = sourceItems.size === 1 ? first.event.source?.item : null;
+    const label = sharedSource ? foundry.utils.escapeHTML(clipName(sharedSource)) : lineLabel(first.base, kind);
+    const isSimple = getWorldBool("simpleOutput");
+
+    const parts = merged.map(({ event }) => {
+      const sign = event.delta > 0 ? "+" : "−";
+      const value = isSimple ? `${sign}${Math.abs(event.delta)}` : `${event.old}→${event.new}`;
+      return `<span class="tm-group-entry">${getActorLink(event.actor)} ${value}</span>`;
+    });
+    content = `${icon} <span class="tm-text">${label}:</span> ${parts.join(", ")}`;
+  }
+
+  await ChatMessage.create({
+    content: `<div class="tiny-monitor-line tm-multiline tm-group">${content}</div>`,
+    whisper: first.messageData.whisper,
+    flags: {
+      [MOD_ID]: {
+        isMonitorMsg: true, kind, cls, color, group: true, combat: first.event.combat,
+        changes: merged.map(e => e.change),
+        history: merged.flatMap(e => e.history)
+      }
+    }
+  });
+}
+
+// -------------------------------
+// Combat Context & Encounter Statistics
+// -------------------------------
+
+/**
+ * The current turn of the running combat the actor takes part in, or null. The name of a hidden
+ * combatant is left out, since the context is shown to players.
+ */
+function getCombatContext(actor) {
+  const inCombat = (c) => c.started && c.combatants.some(cb => cb.actor?.uuid === actor.uuid);
+  const combat = (game.combat && inCombat(game.combat)) ? game.combat : game.combats.find(inCombat);
+  if (!combat) return null;
+  const combatant = combat.combatant;
+  return { id: combat.id, round: combat.round, turn: combat.turn, combatant: (combatant && !combatant.hidden) ? combatant.name : null };
+}
+
+// "Round 2, Goblin's turn"
+function formatCombatContext(combat) {
+  if (!combat) return "";
+  return combat.combatant
+    ? tmFormat("TINYHP.Combat.Turn", { round: combat.round, combatant: combat.combatant })
+    : tmFormat("TINYHP.Combat.Round", { round: combat.round });
+}
+
+/**
+ * Sums the change history of each combatant for one combat: damage taken, healing received,
+ * temp HP granted and spell slots spent. Reverted changes and the Reverts themselves are skipped.
+ */
+function collectEncounterStats(combat) {
+  const rows = new Map();
+  for (const cb of combat.combatants) {
+    const actor = cb.actor;
+    if (!actor || rows.has(actor.uuid)) continue;
+    const row = { uuid: actor.uuid, name: cb.name, damage: 0, healing: 0, temp: 0, slots: 0 };
+    rows.set(actor.uuid, row);
+
+    const damageSystem = resolvePaths(actor).damageSystem;
+    for (const e of getPendingHistory(actor)) {
+      if (e.combat !== combat.id || e.reverted || e.revert || typeof e.old !== "number" || typeof e.new !== "number") continue;
+      const delta = e.new - e.old;
+
+      if (e.kind === "hp") {
+        const loss = damageSystem ? delta : -delta;
+        if (loss > 0) row.damage += loss;
+        else row.healing -= loss;
+      } else if (e.kind === "temp" && delta > 0) {
+        row.temp += delta;
+      } else if (["spellslot", "pactslot"].includes(e.kind) && delta < 0) {
+        row.slots -= delta;
+      }
+    }
+  }
+  return [...rows.values()];
+}
+
+async function postEncounterSummary(combat) {
+  const rows = collectEncounterStats(combat);
+  if (!rows.some(r => r.damage || r.healing || r.temp || r.slots)) return;
+
+  const summary = { id: combat.id, time: Date.now(), rounds: combat.round, rows };
+  const log = [...getEncounterLog(), summary].slice(-ENCOUNTER_LOG_LIMIT);
+  await game.settings.set(MOD_ID, "encounterLog", log);
+
+  await ChatMessage.create({
+    content: formatEncounterSummary(summary),
+    whisper: game.users.filter(u => u.isGM).map(u => u.id),
+    flags: { [MOD_ID]: { isMonitorMsg: true, kind: "encounter", cls: "tiny-monitor-encounter", encounter: summary, changes: [] } }
+  });
+}
+
+// The summary card, as posted to chat and listed in the history window
+function formatEncounterSummary(summary) {
+  const cell = (v) => v ? v : "–";
+  const body = summary.rows.map(r => `<tr><td>@UUID[${r.uuid}]{${clipName(r.name)}}</td><td>${cell(r.damage)}</td><td>${cell(r.healing)}</td><td>${cell(r.temp)}</td><td>${cell(r.slots)}</td></tr>`).join("");
+  const head = ["Combatant", "Damage", "Healing", "Temp", "Slots"].map(k => `<th>${tmText(`TINYHP.Encounter.${k}`)}</th>`).join("");
+  const title = tmText("TINYHP.Encounter.Title", { count: summary.rounds });
+  return `<div class="tiny-monitor-line tm-multiline tm-encounter"><i class="fa-solid fa-swords"></i> <span class="tm-text">${title}</span><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+function getEncounterLog() {
+  return getWorldSetting("encounterLog", []);
+}
+
+// Ending a combat deletes it; the active GM sums it up from the combatants' change history
+Hooks.on("deleteCombat", (combat) => {
+  if (!combat.started || !getWorldBool("encounterSummary") || !game.users.activeGM?.isSelf) return;
+  postEncounterSummary(combat);
+});
+
+// -------------------------------
+// Session Report
+// -------------------------------
+
+// Player characters: player-owned actors that have HP
+function getSessionActors() {
+  return game.actors.filter(a => a.hasPlayerOwner && foundry.utils.hasProperty(a, resolvePaths(a).hpPath));
+}
+
+function getSessionSnapshot() {
+  return getWorldSetting("sessionSnapshot", {});
+}
+
+function isSessionRunning() {
+  return Boolean(getSessionSnapshot().time);
+}
+
+/**
+ * The values a session report compares. Items are those with a quantity (equipment, not features or spells).
+ */
+function snapshotSessionState(actor) {
+  const adapter = getAdapter();
+  const { basePath, coins } = detectCurrencyInfo(actor);
+  const pact = adapter?.resources?.find(r => r.kind === "pactslot" && r.scope !== "item");
+  const slots = Object.fromEntries((adapter?.spellSlots ?? []).map(s => [s.level, readNumber(actor, s.path)]));
+  if (pact) slots.pact = readNumber(actor, pact.valuePath);
+
+  return {
+    hp: readNumber(actor, resolvePaths(actor).hpPath),
+    currencyBase: basePath,
+    currency: Object.fromEntries(coins.map(k => [k, readNumber(actor, `${basePath}.${k}`)])),
+    items: Object.fromEntries(actor.items
+      .filter(i => foundry.utils.hasProperty(i, "system.quantity"))
+      .map(i => [i.id, { name: i.name, qty: readNumber(i, "system.quantity") }])),
+    slots,
+    inspiration: adapter?.inspirationPath ? Boolean(readRaw(actor, adapter.inspirationPath)) : null
+  };
+}
+
+async function startSession() {
+  if (!game.user.isGM) return;
+  const actors = getSessionActors();
+  await game.settings.set(MOD_ID, "sessionSnapshot", {
+    time: Date.now(),
+    actors: Object.fromEntries(actors.map(a => [a.uuid, snapshotSessionState(a)]))
+  });
+  ui.notifications.info(tmFormat("TINYHP.Session.Started", { count: actors.length }));
+}
+
+/**
+ * Compares every snapshotted actor with its current state. Net values come from the snapshot, so
+ * changes made while the module was not tracking are included; the history adds how much of a
+ * coin was earned and spent, and how many slots were used in between.
+ */
+async function endSession() {
+  if (!game.user.isGM) return;
+  const snapshot = getSessionSnapshot();
+  if (!snapshot.time) {
+    ui.notifications.warn("TINYHP.Session.NotStarted", { localize: true });
+    return;
+  }
+
+  const sections = [];
+  for (const [uuid, before] of Object.entries(snapshot.actors ?? {})) {
+    const actor = fromUuidSync(uuid);
+    if (!actor) continue;
+    const lines = describeSessionChanges(actor, before, snapshotSessionState(actor), snapshot.time);
+    if (lines.length) sections.push(`<p><strong>@UUID[${uuid}]{${clipName(actor.name)}}</strong></p><ul>${lines.map(l => `<li>${l}</li>`).join("")}</ul>`);
+  }
+
+  const range = { start: new Date(snapshot.time).toLocaleString(game.i18n.lang), end: new Date().toLocaleString(game.i18n.lang) };
+  const title = tmText("TINYHP.Session.Title", range);
+  const body = sections.join("") || `<p>${tmText("TINYHP.Session.NoChanges")}</p>`;
+
+  if (game.settings.get(MOD_ID, "sessionReportOutput") === "journal") {
+    const div = document.createElement("div");
+    div.innerHTML = body;
+    localizeFragments(div);
+    const entry = await JournalEntry.create({
+      name: tmFormat("TINYHP.Session.Title", range),
+      pages: [{ name: tmFormat("TINYHP.Session.Page"), type: "text", text: { content: div.innerHTML } }]
+    });
+    entry?.sheet?.render(true);
+  } else {
+    await ChatMessage.create({
+      content: `<div class="tiny-monitor-line tm-multiline tm-session"><i class="fa-solid fa-scroll"></i> <span class="tm-text">${title}</span>${body}</div>`,
+      whisper: game.users.filter(u => u.isGM).map(u => u.id),
+      flags: { [MOD_ID]: { isMonitorMsg: true, kind: "session", cls: "tiny-monitor-session", changes: [] } }
+    });
+  }
+  await game.settings.set(MOD_ID, "sessionSnapshot", {});
+}
+
+function describeSessionChanges(actor, before, after, since) {
+  const lines = [];
+  const fmt = (d) => `${d > 0 ? "+" : "−"}${Math.abs(d)}`;
+  const history = getActorHistory(actor).filter(e => e.time >= since);
+
+  if (after.hp !== before.hp) {
+    lines.push(`${tmText("TINYHP.Label.HP")}: ${before.hp} → ${after.hp} (${fmt(after.hp - before.hp)})`);
+  }
+
+  for (const k of new Set([...Object.keys(before.currency), ...Object.keys(after.currency)])) {
+    const oldVal = before.currency[k] ?? 0;
+    const newVal = after.currency[k] ?? 0;
+    const entries = history.filter(e => e.kind === "currency" && e.path === `${after.currencyBase}.${k}`);
+    const earned = entries.reduce((sum, e) => sum + Math.max(0, e.new - e.old), 0);
+    const spent = entries.reduce((sum, e) => sum + Math.max(0, e.old - e.new), 0);
+    if (oldVal === newVal && !earned && !spent) continue;
+
+    const flow = (earned || spent) ? `; ${tmText("TINYHP.Session.Flow", { earned, spent })}` : "";
+    lines.push(`${tmText(coinLabel(k, game.system.id))}: ${oldVal} → ${newVal} (${fmt(newVal - oldVal)}${flow})`);
+  }
+
+  const gained = [], lost = [];
+  const item = (name, qty) => `${foundry.utils.escapeHTML(clipName(name))}${qty > 1 ? ` ×${qty}` : ""}`;
+  for (const [id, now] of Object.entries(after.items)) {
+    const diff = now.qty - (before.items[id]?.qty ?? 0);
+    if (diff > 0) gained.push(item(now.name, diff));
+    else if (diff < 0) lost.push(item(now.name, -diff));
+  }
+  for (const [id, old] of Object.entries(before.items)) {
+    if (!(id in after.items) && old.qty > 0) lost.push(item(old.name, old.qty));
+  }
+  if (gained.length) lines.push(`${tmText("TINYHP.Session.Gained")}: ${gained.join(", ")}`);
+  if (lost.length) lines.push(`${tmText("TINYHP.Session.Lost")}: ${lost.join(", ")}`);
+
+  const used = history.filter(e => ["spellslot", "pactslot"].includes(e.kind) && typeof e.old === "number")
+    .reduce((sum, e) => sum + Math.max(0, e.old - e.new), 0);
+  const slotChanges = Object.keys(after.slots).filter(k => after.slots[k] !== before.slots[k])
+    .map(k => `${k === "pact" ? tmText("TINYHP.Resource.PactSlot.other") : tmText("TINYHP.Label.SlotLevel", { level: k })} ${before.slots[k] ?? 0} → ${after.slots[k]}`);
+  if (used || slotChanges.length) {
+    const parts = [used ? tmText("TINYHP.Session.SlotsUsed", { count: used }) : null, slotChanges.join(", ") || null].filter(Boolean);
+    lines.push(`${tmText("TINYHP.Session.Slots")}: ${parts.join("; ")}`);
+  }
+
+  if (before.inspiration !== null) {
+    const entries = history.filter(e => e.kind === "inspiration");
+    const earned = entries.filter(e => !e.old && e.new).length;
+    const spent = entries.filter(e => e.old && !e.new).length;
+    if (earned || spent || before.inspiration !== after.inspiration) {
+      const state = tmText(after.inspiration ? "TINYHP.Session.Has" : "TINYHP.Session.HasNot");
+      lines.push(`${tmText("TINYHP.Kinds.inspiration")}: ${tmText("TINYHP.Session.Flow", { earned, spent })} (${state})`);
+    }
+  }
+  return lines;
+}
+
+// -------------------------------
+// Rolling Consolidation
+// -------------------------------
+
+function getConsolidateMode() {
+  return getWorldSetting("consolidate", "off");
+}
+
+function currentTurnKey() {
+  const combat = game.combat;
+  return combat?.started ? `${combat.id}|${combat.round}|${combat.turn}` : null;
+}
+
+function rememberForConsolidation(message, messageData, event, change, base) {
+  const { kind, cls } = messageData.flags[MOD_ID];
+  CONSOLIDATE.set(`${change.uuid}|${change.path}`, {
+    messageId: message.id,
+    kind, cls,
+    audience: audienceKeyOf(messageData),
+    start: change.old,
+    last: change.new,
+    deltas: [event.delta],
+    time: Date.now(),
+    turn: currentTurnKey(),
+    icon: lineIcon(base),
+    label: lineLabel(base, kind)
+  });
+}
+
+/**
+ * Folds a change into the previous message for the same value ("HP: 30 → 12 (−8, −6, −4)") when
+ * that message is recent: within the time window, or in the same combat turn in "turn" mode
+ * (outside of combat the window applies). The chain breaks when kind, color or audience differ,
+ * or when something else changed the value in between, so the start value stays correct.
+ * Returns true if the message was taken over.
+ */
+async function consolidateMessage(messageData, event, change) {
+  const key = `${change.uuid}|${change.path}`;
+  const entry = CONSOLIDATE.get(key);
+  if (!entry) return false;
+
+  const { kind, cls } = messageData.flags[MOD_ID];
+  const turn = currentTurnKey();
+  const windowMs = Math.max(1, Number(game.settings.get(MOD_ID, "consolidateWindow")) || 60) * 1000;
+  const recent = (getConsolidateMode() === "turn" && turn) ? entry.turn === turn : (Date.now() - entry.time) <= windowMs;
+  const message = game.messages.get(entry.messageId);
+
+  if (!recent || !message || !message.canUserModify(game.user, "update") || message.getFlag(MOD_ID, "reverted") || entry.kind !== kind || entry.cls !== cls
+    || entry.audience !== audienceKeyOf(messageData) || entry.last !== change.old) {
+    CONSOLIDATE.delete(key);
+    return false;
+  }
+
+  // The combined line is built and templated like a fresh one, with the latest change's source
+  const deltas = [...entry.deltas, event.delta];
+  const source = event.source ? formatDamageSource(event.source) : "";
+  const built = formatValueLine(entry.icon, getActorLink(event.actor), entry.label, entry.start, change.new, { deltas, source });
+  const line = applyTemplate(built, kind, { actor: event.actor, old: entry.start, new: change.new, combat: event.combat, userId: event.userId });
+
+  // Listeners get to rewrite or refuse it as well; a refused line is posted on its own instead
+  const combined = { ...event, old: entry.start, delta: change.new - entry.start, line };
+  const data = { content: `<div class="tiny-monitor-line">${line}</div>`, whisper: messageData.whisper, flags: foundry.utils.deepClone(messageData.flags) };
+  if (Hooks.call("tinyHpMonitor.preMessage", data, combined) === false) {
+    CONSOLIDATE.delete(key);
+    return false;
+  }
+
+  entry.deltas = deltas;
+  entry.last = change.new;
+  entry.time = Date.now();
+  await message.update({
+    content: data.content,
+    [`flags.${MOD_ID}.changes`]: [{ ...change, old: entry.start }],
+    [`flags.${MOD_ID}.history`]: [...(message.getFlag(MOD_ID, "history") ?? []), ...(messageData.flags[MOD_ID].history ?? [])],
+    [`flags.${MOD_ID}.source`]: messageData.flags[MOD_ID].source ?? null
+  });
+  return true;
+}
+
+// A new turn starts new lines
+Hooks.on("updateCombat", (combat, change) => {
+  if (("turn" in change) || ("round" in change)) CONSOLIDATE.clear();
+});
+
+Hooks.on("deleteCombat", () => CONSOLIDATE.clear());
+
+// -------------------------------
+// Revert
+// -------------------------------
+
+function sameValue(current, expected) {
+  if (typeof expected === "number") return Number(current) === expected;
+  if (typeof expected === "boolean") return Boolean(current) === expected;
+  return String(current ?? "") === String(expected ?? "");
+}
+
+/**
+ * Anyone can create a chat message with arbitrary flags, so the changes only count if the author
+ * could have updated every document they name. Documents that no longer exist are reported on Revert.
+ */
+function canRevertMessage(message) {
+  const author = message.author;
+  const changes = message.getFlag(MOD_ID, "changes") ?? [];
+  if (!author || !changes.length) return false;
+  return changes.every(change => {
+    const doc = fromUuidSync(change.uuid);
+    return !doc || (doc instanceof foundry.abstract.Document && doc.canUserModify(author, "update"));
+  });
+}
+
+/**
+ * The paths this module tracks, and therefore may write back, for an actor or an owned item.
+ */
+function getRevertablePaths(doc) {
+  const adapter = getAdapter();
+  const paths = new Set();
+  const add = (...list) => list.forEach(p => p && paths.add(p));
+  const addResources = (scope) => (adapter?.resources ?? [])
+    .filter(r => (r.scope ?? "actor") === scope)
+    .forEach(r => add(r.valuePath, r.spentPath));
+
+  if (doc instanceof Actor) {
+    const { hpPath, tempPath, tempMaxPath, maxPath } = resolvePaths(doc);
+    add(hpPath, tempPath, tempMaxPath, maxPath, adapter?.inspirationPath);
+
+    const { basePath, coins } = detectCurrencyInfo(doc);
+    if (basePath) add(...coins.map(k => `${basePath}.${k}`));
+    if (adapter?.deathSaves) add(adapter.deathSaves.successPath, adapter.deathSaves.failurePath);
+    add(...(adapter?.spellSlots ?? []).map(s => s.path));
+    add(...getAllTrackers().map(t => t.path));
+
+    const { xpPath, levelPath } = getProgressionPaths();
+    add(xpPath, levelPath);
+    addResources("actor");
+  } else if (doc instanceof Item && doc.parent instanceof Actor) {
+    add("system.quantity", "name");
+    addResources("item");
+  }
+  return paths;
+}
+
+async function revertMonitorMessage(message) {
+  if (!canRevertMessage(message)) return;
+  const changes = message.getFlag(MOD_ID, "changes") ?? [];
+  const targets = [];
+
+  for (const change of changes) {
+    const doc = await fromUuid(change.uuid);
+    if (!doc) {
+      ui.notifications.warn(game.i18n.format("TINYHP.Revert.Missing", { uuid: change.uuid }));
+      continue;
+    }
+    if (!getRevertablePaths(doc).has(change.path)) {
+      ui.notifications.warn(game.i18n.format("TINYHP.Revert.Untracked", { path: change.path }));
+      continue;
+    }
+    targets.push({ doc, change, current: foundry.utils.getProperty(doc, change.path) });
+  }
+  if (!targets.length) return;
+
+  // Warn if something else changed the value after this message was posted
+  const drifted = targets.filter(t => !sameValue(t.current, t.change.new));
+  if (drifted.length) {
+    const rows = drifted.map(t => `<li>${game.i18n.format("TINYHP.Revert.DriftRow", { name: clipName(t.doc.name), path: t.change.path, current: t.current, posted: t.change.new })}</li>`).join("");
+    const proceed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "TINYHP.Revert.Title" },
+      content: `<p>${game.i18n.localize("TINYHP.Revert.Drifted")}</p><ul>${rows}</ul><p>${game.i18n.localize("TINYHP.Revert.Confirm")}</p>`
+    });
+    if (!proceed) return;
+  }
+
+  for (const { doc, change } of targets) {
+    REVERTING.set(`${change.uuid}|${change.path}`, Date.now() + DAMAGE_CONTEXT_MS);
+    await doc.update({ [change.path]: change.old });
+  }
+  await message.setFlag(MOD_ID, "reverted", true);
+  await markHistoryReverted(message.getFlag(MOD_ID, "history") ?? []);
+}
+
+// True (once) if the change is a Revert writing a value back
+function takeRevertMark(change) {
+  if (!change) return false;
+  const key = `${change.uuid}|${change.path}`;
+  const until = REVERTING.get(key);
+  REVERTING.delete(key);
+  return Boolean(until) && Date.now() <= until;
+}
+
+// -------------------------------
+// History (Actor Flags)
+// -------------------------------
+
+function getActorHistory(actor) {
+  const history = actor?.getFlag?.(MOD_ID, "history");
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Buffers a history entry and writes all pending entries for the actor in one update.
+ */
+function queueHistory(actor, { kind, cls, color = null, line, change, combat = null, userId = game.userId, revert = false }) {
+  if (!actor?.isOwner || !getWorldBool("recordHistory", true)) return null;
+
+  const uuid = actor.uuid;
+  const pending = HISTORY_QUEUE.get(uuid) ?? { entries: [], timer: null };
+  if (pending.timer) clearTimeout(pending.timer);
+
+  const id = foundry.utils.randomID();
+  pending.entries.push({
+    id,
+    time: Date.now(),
+    user: userId,
+    combat: combat?.id ?? null,
+    round: combat?.round ?? null,
+    turn: combat?.turn ?? null,
+    combatant: combat?.combatant ?? null,
+    kind, cls, color, line,
+    uuid: change?.uuid ?? null,
+    path: change?.path ?? null,
+    old: change?.old ?? null,
+    new: change?.new ?? null,
+    ...(revert ? { revert: true } : {})
+  });
+
+  pending.timer = setTimeout(async () => {
+    HISTORY_QUEUE.delete(uuid);
+    const limit = Math.max(0, Number(game.settings.get(MOD_ID, "historyLimit")) || 0);
+    const history = [...getActorHistory(actor), ...pending.entries].slice(-limit);
+    await actor.setFlag(MOD_ID, "history", history);
+  }, DEBOUNCE_MS);
+
+  HISTORY_QUEUE.set(uuid, pending);
+  return id;
+}
+
+// Recorded entries plus those still waiting to be written
+function getPendingHistory(actor) {
+  return [...getActorHistory(actor), ...(HISTORY_QUEUE.get(actor.uuid)?.entries ?? [])];
+}
+
+/**
+ * Flags the history entries behind a reverted message, so statistics leave them out.
+ * @param {{actor: string, id: string}[]} refs
+ */
+async function markHistoryReverted(refs) {
+  const byActor = Map.groupBy(refs, r => r.actor);
+  for (const [uuid, list] of byActor) {
+    const actor = fromUuidSync(uuid);
+    if (!actor?.isOwner) continue;
+    const ids = new Set(list.map(r => r.id));
+    for (const e of HISTORY_QUEUE.get(uuid)?.entries ?? []) if (ids.has(e.id)) e.reverted = true;
+    const history = getActorHistory(actor);
+    if (history.some(e => ids.has(e.id))) {
+      await actor.setFlag(MOD_ID, "history", history.map(e => ids.has(e.id) ? { ...e, reverted: true } : e));
+    }
+  }
+}
+
+/**
+ * Numbers entries into sessions: a gap of SESSION_GAP_HOURS without changes starts a new one.
+ * Expects entries sorted by time (ascending).
+ */
+function assignSessions(entries) {
+  const gap = SESSION_GAP_HOURS * 60 * 60 * 1000;
+  let session = 0, last = -Infinity;
+  for (const e of entries) {
+    if (e.time - last > gap) session++;
+    e.session = session;
+    last = e.time;
+  }
+  return session;
+}
+
+function historyActors(actor) {
+  if (actor) return [actor];
+  const unlinked = game.scenes.contents.flatMap(s => s.tokens.contents.filter(t => !t.actorLink && t.actor).map(t => t.actor));
+  return [...game.actors.contents, ...unlinked];
+}
+
+/**
+ * All history entries of the given actor (or of every actor), oldest first.
+ */
+function collectHistory(actor = null) {
+  return historyActors(actor)
+    .flatMap(a => {
+      const tokenName = a.token?.name ?? a.prototypeToken?.name ?? a.name;
+      return getActorHistory(a).map(e => ({ ...e, actorName: a.name, tokenName }));
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+function plainText(line) {
+  const withLabels = String(line ?? "").replace(/@UUID\[[^\]]*\]\{([^}]*)\}/g, "$1");
+  const div = document.createElement("div");
+  div.innerHTML = withLabels;
+  localizeFragments(div);
+  return div.textContent.replace(/\s+/g, " ").trim();
+}
+
+function toExportRows(entries) {
+  return entries.map(e => {
+    const delta = (typeof e.old === "number" && typeof e.new === "number") ? e.new - e.old : null;
+    return {
+      actor: e.actorName,
+      token: e.tokenName,
+      kind: e.kind,
+      text: plainText(e.line),
+      path: e.path,
+      old: e.old,
+      new: e.new,
+      delta,
+      user: game.users.get(e.user)?.name ?? e.user,
+      timestamp: new Date(e.time).toISOString(),
+      round: e.round ?? null,
+      turn: e.combatant ?? null
+    };
+  });
+}
+
+function toCsv(rows) {
+  const columns = ["actor", "token", "kind", "text", "path", "old", "new", "delta", "user", "timestamp", "round", "turn"];
+  const cell = (v) => {
+    const str = v === null || v === undefined ? "" : String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(","), ...rows.map(r => columns.map(c => cell(r[c])).join(","))].join("\r\n");
+}
+
+/**
+ * Serializes history entries as CSV or JSON and optionally downloads the result.
+ * @param {object} [options]
+ * @param {"csv"|"json"} [options.format="csv"]
+ * @param {Actor|null} [options.actor=null]   Limit the export to one actor.
+ * @param {object[]} [options.entries]        Pre-filtered entries (defaults to the full history).
+ * @param {boolean} [options.download=true]   Save the result as a file.
+ * @returns {string}
+ */
+function exportLog({ format = "csv", actor = null, entries = null, download = true } = {}) {
+  const rows = toExportRows(entries ?? collectHistory(actor));
+  const isJson = format === "json";
+  const data = isJson ? JSON.stringify(rows, null, 2) : toCsv(rows);
+
+  if (download) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const filename = `${MOD_ID}-${actor ? actor.name.slugify() : "log"}-${stamp}.${isJson ? "json" : "csv"}`;
+    foundry.utils.saveDataToFile(data, isJson ? "application/json" : "text/csv", filename);
+  }
+  return data;
+}
+
+function openHistory(actor = null) {
+  const id = actor ? `${MOD_ID}-history-${actor.id}` : `${MOD_ID}-history`;
+  const existing = foundry.applications.instances.get(id);
+  if (existing) return existing.render({ force: true });
+  return new HistoryViewer({ id, actor }).render({ force: true });
+}
+
+class HistoryViewer extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    classes: ["tiny-monitor-history"],
+    window: { icon: "fa-solid fa-clock-rotate-left", resizable: true },
+    position: { width: 640, height: 600 }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.actor = options.actor ?? null;
+    this.filters = { kind: "", from: "", to: "", session: "" };
+    this.view = "changes";
+  }
+
+  get title() {
+    return this.actor ? game.i18n.format("TINYHP.History.TitleActor", { name: this.actor.name }) : game.i18n.localize("TINYHP.History.Title");
+  }
+
+  async _prepareContext() {
+    // Past encounter summaries are GM information, like the cards they were posted as
+    const canViewEncounters = game.user.isGM;
+    if (this.view === "encounters" && canViewEncounters) {
+      const summaries = getEncounterLog().filter(s => !this.actor || s.rows.some(r => r.uuid === this.actor.uuid));
+      const encounters = [];
+      for (const s of summaries.reverse()) {
+        encounters.push({
+          html: await foundry.applications.ux.TextEditor.implementation.enrichHTML(formatEncounterSummary(s)),
+          date: new Date(s.time).toLocaleString(game.i18n.lang)
+        });
+      }
+      return { view: "encounters", encounters, canViewEncounters };
+    }
+
+    const all = collectHistory(this.actor);
+    const sessionCount = assignSessions(all);
+
+    const { kind, from, to, session } = this.filters;
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+    const entries = all.filter(e =>
+      (!kind || e.kind === kind)
+      && e.time >= fromTime && e.time <= toTime
+      && (!session || e.session === Number(session))
+    );
+    this.filtered = [...entries];
+    entries.reverse();
+
+    for (const e of entries) {
+      e.html = await foundry.applications.ux.TextEditor.implementation.enrichHTML(e.line);
+      e.date = new Date(e.time).toLocaleString(game.i18n.lang);
+    }
+
+    const sessions = Array.from({ length: sessionCount }, (_, i) => {
+      const first = all.find(e => e.session === i + 1);
+      return { value: i + 1, label: game.i18n.format("TINYHP.History.Session", { number: i + 1, date: new Date(first.time).toLocaleDateString(game.i18n.lang) }) };
+    }).reverse();
+
+    return { view: "changes", entries, sessions, filters: this.filters, showActor: !this.actor, canViewEncounters };
+  }
+
+  async _renderHTML(context) {
+    const loc = (key) => game.i18n.localize(key);
+    const tab = (view, icon, label) => `<button type="button" data-view="${view}"${context.view === view ? ` class="active"` : ""}><i class="fa-solid ${icon}"></i> ${loc(label)}</button>`;
+    const views = context.canViewEncounters
+      ? `<nav class="tm-history-views">${tab("changes", "fa-list", "TINYHP.History.Changes")}${tab("encounters", "fa-swords", "TINYHP.History.Encounters")}</nav>`
+      : "";
+
+    if (context.view === "encounters") {
+      const cards = context.encounters.map(s => `
+        <li class="tm-history-entry tiny-monitor-encounter">
+          <span class="tm-history-date">${s.date}</span>
+          ${s.html}
+        </li>`).join("");
+      return `${views}<ol class="tm-history-list">${cards || `<li class="tm-history-empty">${loc("TINYHP.History.NoEncounters")}</li>`}</ol>`;
+    }
+
+    const { filters } = context;
+    const opt = (value, label, selected) => `<option value="${value}"${String(selected) === String(value) ? " selected" : ""}>${label}</option>`;
+
+    const kindOptions = [opt("", loc("TINYHP.History.AllKinds"), filters.kind), ...Object.entries(KINDS).map(([k, label]) => opt(k, loc(label), filters.kind))].join("");
+    const sessionOptions = [opt("", loc("TINYHP.History.AllSessions"), filters.session), ...context.sessions.map(s => opt(s.value, s.label, filters.session))].join("");
+
+    const rows = context.entries.map(e => `
+      <li class="tm-history-entry ${e.cls ?? ""}"${e.color ? ` style="border-left-color: ${e.color}"` : ""}>
+        <span class="tm-history-date"${e.round ? ` data-tooltip="${foundry.utils.escapeHTML(formatCombatContext(e))}"` : ""}>${e.date}</span>
+        ${context.showActor ? `<span class="tm-history-actor">${foundry.utils.escapeHTML(e.tokenName)}</span>` : ""}
+        <div class="tiny-monitor-line tm-multiline">${e.html}</div>
+      </li>`).join("");
+
+    return `${views}
+      <form class="tm-history-filters">
+        <select name="kind">${kindOptions}</select>
+        <select name="session">${sessionOptions}</select>
+        <input type="date" name="from" value="${filters.from}">
+        <input type="date" name="to" value="${filters.to}">
+      </form>
+      <ol class="tm-history-list">${rows || `<li class="tm-history-empty">${loc("TINYHP.History.Empty")}</li>`}</ol>
+      <footer class="tm-history-footer">
+        <button type="button" data-export="csv"><i class="fa-solid fa-file-csv"></i> ${loc("TINYHP.History.ExportCsv")}</button>
+        <button type="button" data-export="json"><i class="fa-solid fa-file-code"></i> ${loc("TINYHP.History.ExportJson")}</button>
+      </footer>`;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+    localizeFragments(content);
+    for (const btn of content.querySelectorAll("[data-export]")) {
+      btn.addEventListener("click", () => exportLog({ format: btn.dataset.export, actor: this.actor, entries: this.filtered }));
+    }
+    for (const btn of content.querySelectorAll("[data-view]")) {
+      btn.addEventListener("click", () => {
+        this.view = btn.dataset.view;
+        this.render();
+      });
+    }
+    content.querySelector(".tm-history-filters")?.addEventListener("change", (event) => {
+      const { name, value } = event.target;
+      if (!(name in this.filters)) return;
+      this.filters[name] = value;
+      this.render();
+    });
+  }
+}
+
+// -------------------------------
+// Custom Tracker Configuration
+// -------------------------------
+
+class TrackerConfig extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MOD_ID}-trackers`,
+    tag: "form",
+    classes: ["tiny-monitor-trackers"],
+    window: { title: "TINYHP.Trackers.Title", icon: "fa-solid fa-list-check", resizable: true },
+    position: { width: 820, height: "auto" },
+    form: { handler: TrackerConfig.#onSubmit, closeOnSubmit: true },
+    actions: {
+      addTracker: TrackerConfig.#onAddTracker,
+      removeTracker: TrackerConfig.#onRemoveTracker
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.trackers = foundry.utils.deepClone(getCustomTrackers());
+  }
+
+  async _renderHTML() {
+    const esc = (v) => foundry.utils.escapeHTML(String(v ?? ""));
+    const loc = (key) => game.i18n.localize(key);
+    const audienceOptions = (selected) => Object.entries(AUDIENCES)
+      .map(([k, label]) => `<option value="${k}"${k === (selected || "default") ? " selected" : ""}>${loc(label)}</option>`).join("");
+
+    const rows = this.trackers.map((t, i) => `
+      <tr>
+        <td>
+          <input type="hidden" name="trackers.${i}.id" value="${esc(t.id)}">
+          <input type="text" name="trackers.${i}.label" value="${esc(t.label)}" placeholder="${esc(loc("TINYHP.Trackers.LabelPlaceholder"))}">
+        </td>
+        <td><input type="text" name="trackers.${i}.path" value="${esc(t.path)}" placeholder="system.attributes.sanity.value"></td>
+        <td><input type="text" name="trackers.${i}.icon" value="${esc(t.icon)}" placeholder="fa-solid fa-brain"></td>
+        <td><input type="color" name="trackers.${i}.color" value="${esc(t.color || "#455a64")}"></td>
+        <td class="tm-center"><input type="checkbox" name="trackers.${i}.inverted"${t.inverted ? " checked" : ""}></td>
+        <td><select name="trackers.${i}.audience">${audienceOptions(t.audience)}</select></td>
+        <td class="tm-center"><a data-action="removeTracker" data-index="${i}" data-tooltip="TINYHP.Trackers.Remove"><i class="fa-solid fa-trash"></i></a></td>
+      </tr>`).join("");
+
+    return `
+      <p class="hint">${loc("TINYHP.Trackers.Hint")}</p>
+      <table class="tm-trackers-table">
+        <thead><tr>
+          <th>${loc("TINYHP.Trackers.Label")}</th><th>${loc("TINYHP.Trackers.Path")}</th><th>${loc("TINYHP.Trackers.Icon")}</th>
+          <th>${loc("TINYHP.Trackers.Color")}</th><th>${loc("TINYHP.Trackers.Inverted")}</th><th>${loc("TINYHP.Trackers.Audience")}</th><th></th>
+        </tr></thead>
+        <tbody>${rows || `<tr><td colspan="7" class="tm-center">${loc("TINYHP.Trackers.Empty")}</td></tr>`}</tbody>
+      </table>
+      <footer class="form-footer">
+        <button type="button" data-action="addTracker"><i class="fa-solid fa-plus"></i> ${loc("TINYHP.Trackers.Add")}</button>
+        <button type="submit"><i class="fa-solid fa-floppy-disk"></i> ${loc("TINYHP.Trackers.Save")}</button>
+      </footer>`;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  /** Keeps unsaved edits when rows are added or removed. */
+  _readRows() {
+    const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    return Object.values(data.trackers ?? {});
+  }
+
+  static #onAddTracker() {
+    this.trackers = this._readRows();
+    this.trackers.push({ id: foundry.utils.randomID(), label: "", path: "", icon: "fa-solid fa-star", color: "#455a64", inverted: false, audience: "default" });
+    this.render();
+  }
+
+  static #onRemoveTracker(event, target) {
+    this.trackers = this._readRows();
+    this.trackers.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const trackers = Object.values(data.trackers ?? {})
+      .filter(t => String(t.path ?? "").trim())
+      .map(t => ({
+        id: t.id || foundry.utils.randomID(),
+        label: String(t.label ?? "").trim() || String(t.path).trim(),
+        path: String(t.path).trim(),
+        icon: String(t.icon ?? "").trim() || "fa-solid fa-star",
+        color: t.color || "#455a64",
+        inverted: Boolean(t.inverted),
+        audience: t.audience || "default"
+      }));
+    await game.settings.set(MOD_ID, "customTrackers", trackers);
+  }
+}
+
+// -------------------------------
+// Audience Matrix Configuration
+// -------------------------------
+
+class AudienceConfig extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MOD_ID}-audiences`,
+    tag: "form",
+    classes: ["tiny-monitor-audiences"],
+    window: { title: "TINYHP.Audiences.Title", icon: "fa-solid fa-users-viewfinder", resizable: true },
+    position: { width: 720, height: 640 },
+    form: { handler: AudienceConfig.#onSubmit, closeOnSubmit: true }
+  };
+
+  /** Actor types of the active system, without the "base" placeholder. */
+  static get actorTypes() {
+    return (game.documentTypes?.Actor ?? ["character", "npc"]).filter(t => t !== CONST.BASE_DOCUMENT_TYPE);
+  }
+
+  async _renderHTML() {
+    const loc = (key) => game.i18n.localize(key);
+    const matrix = getWorldSetting("audienceMatrix", {});
+
+    const types = AudienceConfig.actorTypes;
+    const options = (selected) => Object.entries(AUDIENCES)
+      .map(([k, label]) => `<option value="${k}"${k === (selected || "default") ? " selected" : ""}>${loc(label)}</option>`).join("");
+
+    const head = types.map(t => `<th>${foundry.utils.escapeHTML(loc(CONFIG.Actor.typeLabels?.[t] ?? t))}</th>`).join("");
+    const rows = Object.entries(KINDS).map(([kind, label]) => `
+      <tr>
+        <th>${loc(label)}</th>
+        ${types.map(t => `<td><select name="matrix.${kind}.${t}">${options(matrix[kind]?.[t])}</select></td>`).join("")}
+      </tr>`).join("");
+
+    return `
+      <p class="hint">${loc("TINYHP.Audiences.Hint")}</p>
+      <div class="tm-audience-scroll">
+        <table class="tm-audience-table">
+          <thead><tr><th></th>${head}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <footer class="form-footer">
+        <button type="submit"><i class="fa-solid fa-floppy-disk"></i> ${loc("TINYHP.Audiences.Save")}</button>
+      </footer>`;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object).matrix ?? {};
+    const matrix = {};
+    for (const [kind, types] of Object.entries(data)) {
+      for (const [type, mode] of Object.entries(types ?? {})) {
+        if (!mode || mode === "default" || !(mode in AUDIENCES)) continue;
+        (matrix[kind] ??= {})[type] = mode;
+      }
+    }
+    await game.settings.set(MOD_ID, "audienceMatrix", matrix);
+  }
+}
+
+// -------------------------------
+// Tracking Rules Configuration
+// -------------------------------
+
+class TrackingRulesConfig extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MOD_ID}-rules`,
+    tag: "form",
+    classes: ["tiny-monitor-rules"],
+    window: { title: "TINYHP.Rules.Title", icon: "fa-solid fa-filter", resizable: true },
+    position: { width: 480, height: "auto" },
+    form: { handler: TrackingRulesConfig.#onSubmit, closeOnSubmit: true }
+  };
+
+  async _renderHTML() {
+    const loc = (key) => game.i18n.localize(key);
+    const rules = getTrackingRules();
+    const checkbox = (name, checked, label) =>
+      `<label class="tm-rule"><input type="checkbox" name="${name}"${checked ? " checked" : ""}> ${foundry.utils.escapeHTML(label)}</label>`;
+
+    const folders = game.folders.filter(f => f.type === "Actor")
+      .map(f => checkbox(`folders.${f.id}`, rules.folders.includes(f.id), f.name)).join("");
+    const types = AudienceConfig.actorTypes
+      .map(t => checkbox(`types.${t}`, rules.types.includes(t), loc(CONFIG.Actor.typeLabels?.[t] ?? t))).join("");
+    const dispositions = Object.entries(CONST.TOKEN_DISPOSITIONS)
+      .map(([key, value]) => checkbox(`dispositions.${value}`, rules.dispositions.includes(value), loc(`TOKEN.DISPOSITION.${key}`))).join("");
+
+    return `
+      <p class="hint">${loc("TINYHP.Rules.Hint")}</p>
+      <fieldset>
+        <legend>${loc("TINYHP.Rules.Folders")}</legend>
+        <div class="tm-rule-list">${folders || `<span class="hint">${loc("TINYHP.Rules.NoFolders")}</span>`}</div>
+      </fieldset>
+      <fieldset>
+        <legend>${loc("TINYHP.Rules.Types")}</legend>
+        <div class="tm-rule-list">${types}</div>
+      </fieldset>
+      <fieldset>
+        <legend>${loc("TINYHP.Rules.Dispositions")}</legend>
+        <div class="tm-rule-list">${dispositions}</div>
+      </fieldset>
+      <fieldset>
+        ${checkbox("combatOnly", rules.combatOnly, loc("TINYHP.Rules.CombatOnly"))}
+        <p class="hint">${loc("TINYHP.Rules.CombatOnlyHint")}</p>
+      </fieldset>
+      <footer class="form-footer">
+        <button type="submit"><i class="fa-solid fa-floppy-disk"></i> ${loc("TINYHP.Rules.Save")}</button>
+      </footer>`;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const checked = (group) => Object.entries(data[group] ?? {}).filter(([, on]) => on).map(([key]) => key);
+    await game.settings.set(MOD_ID, "trackingRules", {
+      folders: checked("folders"),
+      types: checked("types"),
+      dispositions: checked("dispositions").map(Number),
+      combatOnly: Boolean(data.combatOnly)
+    });
+  }
+}
+
+// -------------------------------
+// Message Template Configuration
+// -------------------------------
+
+class TemplateConfig extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MOD_ID}-templates`,
+    tag: "form",
+    classes: ["tiny-monitor-templates"],
+    window: { title: "TINYHP.Templates.Title", icon: "fa-solid fa-code", resizable: true },
+    position: { width: 640, height: "auto" },
+    form: { handler: TemplateConfig.#onSubmit, closeOnSubmit: true },
+    actions: {
+      resetTemplate: TemplateConfig.#onReset
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.templates = foundry.utils.deepClone(getMessageTemplates());
+    this.kind = "hp";
+  }
+
+  async _renderHTML() {
+    const loc = (key) => game.i18n.localize(key);
+    const esc = (v) => foundry.utils.escapeHTML(String(v ?? ""));
+    const kindOptions = Object.entries(KINDS)
+      .filter(([k]) => !UNTEMPLATED_KINDS.includes(k))
+      .map(([k, label]) => `<option value="${k}"${k === this.kind ? " selected" : ""}>${loc(label)}${this.templates[k] ? " *" : ""}</option>`).join("");
+    const variables = TEMPLATE_VARIABLES.map(v => HTML_TEMPLATE_VARIABLES.includes(v) ? `<code>{{{${v}}}}</code>` : `<code>{{${v}}}</code>`).join(" ");
+
+    return `
+      <p class="hint">${loc("TINYHP.Templates.Hint")}</p>
+      <div class="form-group">
+        <label>${loc("TINYHP.Templates.Kind")}</label>
+        <select name="kind">${kindOptions}</select>
+      </div>
+      <textarea name="template" rows="4">${esc(this.templates[this.kind] || DEFAULT_TEMPLATE)}</textarea>
+      <p class="hint">${loc("TINYHP.Templates.Variables")} ${variables}</p>
+      <div class="tm-template-preview tiny-monitor-line tm-multiline"></div>
+      <footer class="form-footer">
+        <button type="button" data-action="resetTemplate"><i class="fa-solid fa-rotate-left"></i> ${loc("TINYHP.Templates.Reset")}</button>
+        <button type="submit"><i class="fa-solid fa-floppy-disk"></i> ${loc("TINYHP.Templates.Save")}</button>
+      </footer>`;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const textarea = this.element.querySelector("textarea[name=template]");
+    this.element.querySelector("select[name=kind]").addEventListener("change", (event) => {
+      this._storeTemplate();
+      this.kind = event.target.value;
+      this.render();
+    });
+    textarea.addEventListener("input", () => this._renderPreview());
+    this._renderPreview();
+  }
+
+  /** Keeps the edited template of the current kind; the shipped one is stored as "none". */
+  _storeTemplate() {
+    const value = String(this.element.querySelector("textarea[name=template]")?.value ?? "").trim();
+    if (!value || value === DEFAULT_TEMPLATE) delete this.templates[this.kind];
+    else this.templates[this.kind] = value;
+  }
+
+  /** Renders the template with sample values: a 12 → 7 change on the first actor. */
+  async _renderPreview() {
+    const preview = this.element.querySelector(".tm-template-preview");
+    const template = String(this.element.querySelector("textarea[name=template]")?.value ?? "");
+    const actor = game.actors.contents[0];
+    if (!preview || !actor) return;
+
+    const label = tmText(KINDS[this.kind]);
+    const line = `<i class="fa-solid fa-heart"></i> <span class="tm-actor">${getActorLink(actor)}</span> <span class="tm-text">${label}: 12 - 5 → 7</span>`;
+    let html;
+    try {
+      html = renderTemplate(template, templateData(line, this.kind, { actor, old: 12, new: 7, combat: { round: 2 } }));
+    } catch (err) {
+      preview.textContent = err.message;
+      return;
+    }
+    preview.innerHTML = await foundry.applications.ux.TextEditor.implementation.enrichHTML(html);
+    localizeFragments(preview);
+  }
+
+  static #onReset() {
+    delete this.templates[this.kind];
+    this.render();
+  }
+
+  static async #onSubmit() {
+    this._storeTemplate();
+    await game.settings.set(MOD_ID, "messageTemplates", this.templates);
+  }
+}
+
+// DnD5e Spell Prep Logic
+function dnd5eIsSpellPreparedLike(item) {
+  const method = String(readRaw(item, "system.method") ?? "");
+  const preparedVal = readRaw(item, "system.prepared");
+  const prepared = typeof preparedVal === "boolean" ? preparedVal : Boolean(preparedVal);
+
+  if (method === "prepared") return prepared;
+  if (method === "always") return true;
+  if (!method && typeof preparedVal !== "undefined") return prepared;
+  return false;
+}
+
+function computePreparedAfter(item, change) {
+  const has = (p) => foundry.utils.hasProperty(change, p);
+  const get = (p) => foundry.utils.getProperty(change, p);
+
+  let methodGiven = has("system.method") ? String(get("system.method")) : (has("system.preparation.mode") ? String(get("system.preparation.mode")) : undefined);
+  let preparedGiven = has("system.prepared") ? Boolean(get("system.prepared")) : (has("system.preparation.prepared") ? Boolean(get("system.preparation.prepared")) : undefined);
+
+  if (preparedGiven !== undefined && methodGiven === undefined) methodGiven = "prepared";
+
+  if (methodGiven !== undefined) {
+    if (methodGiven === "always") return true;
+    if (methodGiven === "prepared") {
+      return preparedGiven !== undefined ? preparedGiven : Boolean(readRaw(item, "system.prepared"));
+    }
+    return false;
+  }
+  return dnd5eIsSpellPreparedLike(item);
+}
+
+// -------------------------------
+// Settings
+// -------------------------------
+
+Hooks.once("init", () => {
+  // -------------------------------------------------------------------
+  // 1. General Settings
+  // -------------------------------------------------------------------
+
+  game.settings.register(MOD_ID, "simpleOutput", {
+    name: "TINYHP.Settings.simpleOutput.Name",
+    hint: "TINYHP.Settings.simpleOutput.Hint",
+    scope: "world", config: true, type: Boolean, default: false
+  });
+
+  game.settings.register(MOD_ID, "npcAudience", {
+    name: "TINYHP.Settings.npcAudience.Name",
+    hint: "TINYHP.Settings.npcAudience.Hint",
+    scope: "world", config: true, type: String,
+    choices: { "gm": "TINYHP.Audience.gm", "gm-players": "TINYHP.Audience.gm-players", "gm-owners": "TINYHP.Audience.gm-owners-default" },
+    default: "gm-owners"
+  });
+
+  game.settings.register(MOD_ID, "audienceMatrix", {
+    scope: "world", config: false, type: Object, default: {}
+  });
+
+  game.settings.registerMenu(MOD_ID, "audienceMenu", {
+    name: "TINYHP.Settings.audienceMenu.Name",
+    label: "TINYHP.Settings.audienceMenu.Label",
+    hint: "TINYHP.Settings.audienceMenu.Hint",
+    icon: "fa-solid fa-users-viewfinder",
+    type: AudienceConfig,
+    restricted: true
+  });
+
+  game.settings.register(MOD_ID, "paused", {
+    scope: "world", config: false, type: Boolean, default: false,
+    onChange: (paused) => {
+      ui.controls?.render();
+      if (game.user.isGM) ui.notifications.info(paused ? "TINYHP.Pause.Paused" : "TINYHP.Pause.Resumed", { localize: true });
+    }
+  });
+
+  game.settings.register(MOD_ID, "sessionSnapshot", {
+    scope: "world", config: false, type: Object, default: {},
+    onChange: () => ui.controls?.render()
+  });
+
+  game.settings.register(MOD_ID, "sessionReportOutput", {
+    name: "TINYHP.Settings.sessionReportOutput.Name",
+    hint: "TINYHP.Settings.sessionReportOutput.Hint",
+    scope: "world", config: true, type: String,
+    choices: { "chat": "TINYHP.Settings.sessionReportOutput.Chat", "journal": "TINYHP.Settings.sessionReportOutput.Journal" },
+    default: "chat"
+  });
+
+  game.settings.register(MOD_ID, "messageTemplates", {
+    scope: "world", config: false, type: Object, default: {}
+  });
+
+  game.settings.registerMenu(MOD_ID, "templatesMenu", {
+    name: "TINYHP.Settings.templatesMenu.Name",
+    label: "TINYHP.Settings.templatesMenu.Label",
+    hint: "TINYHP.Settings.templatesMenu.Hint",
+    icon: "fa-solid fa-code",
+    type: TemplateConfig,
+    restricted: true
+  });
+
+  game.settings.register(MOD_ID, "trackingRules", {
+    scope: "world", config: false, type: Object, default: {}
+  });
+
+  game.settings.registerMenu(MOD_ID, "trackingRulesMenu", {
+    name: "TINYHP.Settings.trackingRulesMenu.Name",
+    label: "TINYHP.Settings.trackingRulesMenu.Label",
+    hint: "TINYHP.Settings.trackingRulesMenu.Hint",
+    icon: "fa-solid fa-filter",
+    type: TrackingRulesConfig,
+    restricted: true
+  });
+
+  game.settings.register(MOD_ID, "trackEffects", {
+    name: "TINYHP.Settings.trackEffects.Name",
+    hint: "TINYHP.Settings.trackEffects.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "detectTransfers", {
+    name: "TINYHP.Settings.detectTransfers.Name",
+    hint: "TINYHP.Settings.detectTransfers.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "groupMultiTarget", {
+    name: "TINYHP.Settings.groupMultiTarget.Name",
+    hint: "TINYHP.Settings.groupMultiTarget.Hint",
+    scope: "world", config: true, type: Boolean, default: false
+  });
+
+  game.settings.register(MOD_ID, "consolidate", {
+    name: "TINYHP.Settings.consolidate.Name",
+    hint: "TINYHP.Settings.consolidate.Hint",
+    scope: "world", config: true, type: String,
+    choices: {
+      "off": "TINYHP.Settings.consolidate.Off",
+      "window": "TINYHP.Settings.consolidate.Window",
+      "turn": "TINYHP.Settings.consolidate.Turn"
+    },
+    default: "off"
+  });
+
+  game.settings.register(MOD_ID, "consolidateWindow", {
+    name: "TINYHP.Settings.consolidateWindow.Name",
+    hint: "TINYHP.Settings.consolidateWindow.Hint",
+    scope: "world", config: true, type: Number, default: 60,
+    range: { min: 5, max: 600, step: 5 }
+  });
+
+  game.settings.register(MOD_ID, "gmRelay", {
+    name: "TINYHP.Settings.gmRelay.Name",
+    hint: "TINYHP.Settings.gmRelay.Hint",
+    scope: "world", config: true, type: Boolean, default: false
+  });
+
+  game.settings.register(MOD_ID, "encounterSummary", {
+    name: "TINYHP.Settings.encounterSummary.Name",
+    hint: "TINYHP.Settings.encounterSummary.Hint",
+    scope: "world", config: true, type: Boolean, default: false
+  });
+
+  game.settings.register(MOD_ID, "encounterLog", {
+    scope: "world", config: false, type: Array, default: []
+  });
+
+  game.settings.register(MOD_ID, "trackMaxHp", {
+    name: "TINYHP.Settings.trackMaxHp.Name",
+    hint: "TINYHP.Settings.trackMaxHp.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackHpStates", {
+    name: "TINYHP.Settings.trackHpStates.Name",
+    hint: "TINYHP.Settings.trackHpStates.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "bloodiedThreshold", {
+    name: "TINYHP.Settings.bloodiedThreshold.Name",
+    hint: "TINYHP.Settings.bloodiedThreshold.Hint",
+    scope: "world", config: true, type: Number, default: 50,
+    range: { min: 1, max: 99, step: 1 }
+  });
+
+  game.settings.register(MOD_ID, "obscureNpcHp", {
+    name: "TINYHP.Settings.obscureNpcHp.Name",
+    hint: "TINYHP.Settings.obscureNpcHp.Hint",
+    scope: "world", config: true, type: Boolean, default: false
+  });
+
+  game.settings.register(MOD_ID, "woundBands", {
+    name: "TINYHP.Settings.woundBands.Name",
+    hint: "TINYHP.Settings.woundBands.Hint",
+    scope: "world", config: true, type: String, default: ""
+  });
+
+  game.settings.register(MOD_ID, "trackXp", {
+    name: "TINYHP.Settings.trackXp.Name",
+    hint: "TINYHP.Settings.trackXp.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackLevels", {
+    name: "TINYHP.Settings.trackLevels.Name",
+    hint: "TINYHP.Settings.trackLevels.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackCurrency", {
+    name: "TINYHP.Settings.trackCurrency.Name",
+    hint: "TINYHP.Settings.trackCurrency.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackItemChanges", {
+    name: "TINYHP.Settings.trackItemChanges.Name",
+    hint: "TINYHP.Settings.trackItemChanges.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "recordHistory", {
+    name: "TINYHP.Settings.recordHistory.Name",
+    hint: "TINYHP.Settings.recordHistory.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "historyLimit", {
+    name: "TINYHP.Settings.historyLimit.Name",
+    hint: "TINYHP.Settings.historyLimit.Hint",
+    scope: "world", config: true, type: Number, default: 500
+  });
+
+  game.settings.registerMenu(MOD_ID, "historyMenu", {
+    name: "TINYHP.Settings.historyMenu.Name",
+    label: "TINYHP.Settings.historyMenu.Label",
+    hint: "TINYHP.Settings.historyMenu.Hint",
+    icon: "fa-solid fa-clock-rotate-left",
+    type: HistoryViewer,
+    restricted: true
+  });
+
+  // -------------------------------------------------------------------
+  // 2. DnD5e Specific Settings
+  // -------------------------------------------------------------------
+
+  game.settings.register(MOD_ID, "trackDnd5eInspiration", {
+    name: "TINYHP.Settings.trackDnd5eInspiration.Name",
+    hint: "TINYHP.Settings.trackDnd5eInspiration.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5eDeathSaves", {
+    name: "TINYHP.Settings.trackDnd5eDeathSaves.Name",
+    hint: "TINYHP.Settings.trackDnd5eDeathSaves.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5eSpellPrep", {
+    name: "TINYHP.Settings.trackDnd5eSpellPrep.Name",
+    hint: "TINYHP.Settings.trackDnd5eSpellPrep.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5eSpellSlots", {
+    name: "TINYHP.Settings.trackDnd5eSpellSlots.Name",
+    hint: "TINYHP.Settings.trackDnd5eSpellSlots.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5ePactSlots", {
+    name: "TINYHP.Settings.trackDnd5ePactSlots.Name",
+    hint: "TINYHP.Settings.trackDnd5ePactSlots.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5eHitDice", {
+    name: "TINYHP.Settings.trackDnd5eHitDice.Name",
+    hint: "TINYHP.Settings.trackDnd5eHitDice.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5eItemUses", {
+    name: "TINYHP.Settings.trackDnd5eItemUses.Name",
+    hint: "TINYHP.Settings.trackDnd5eItemUses.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5eExhaustion", {
+    name: "TINYHP.Settings.trackDnd5eExhaustion.Name",
+    hint: "TINYHP.Settings.trackDnd5eExhaustion.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackDnd5eLegendary", {
+    name: "TINYHP.Settings.trackDnd5eLegendary.Name",
+    hint: "TINYHP.Settings.trackDnd5eLegendary.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "restSummary", {
+    name: "TINYHP.Settings.restSummary.Name",
+    hint: "TINYHP.Settings.restSummary.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  for (const key of Object.keys(REST_TRACKERS)) {
+    const setting = restSettingKey(key);
+    game.settings.register(MOD_ID, setting, {
+      name: `TINYHP.Settings.${setting}.Name`,
+      hint: `TINYHP.Settings.${setting}.Hint`,
+      scope: "world", config: true, type: Boolean, default: false
+    });
+  }
+
+  // -------------------------------------------------------------------
+  // 3. PF2e Specific Settings
+  // -------------------------------------------------------------------
+
+  game.settings.register(MOD_ID, "trackPf2eHeroPoints", {
+    name: "TINYHP.Settings.trackPf2eHeroPoints.Name",
+    hint: "TINYHP.Settings.trackPf2eHeroPoints.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackPf2eFocusPoints", {
+    name: "TINYHP.Settings.trackPf2eFocusPoints.Name",
+    hint: "TINYHP.Settings.trackPf2eFocusPoints.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackPf2eConditions", {
+    name: "TINYHP.Settings.trackPf2eConditions.Name",
+    hint: "TINYHP.Settings.trackPf2eConditions.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackPf2eShields", {
+    name: "TINYHP.Settings.trackPf2eShields.Name",
+    hint: "TINYHP.Settings.trackPf2eShields.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "trackPf2eStamina", {
+    name: "TINYHP.Settings.trackPf2eStamina.Name",
+    hint: "TINYHP.Settings.trackPf2eStamina.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
 
   // -------------------------------------------------------------------
-  // 3. Advanced / Manual Path Configuration
+  // 4. Advanced / Manual Path Configuration
   // -------------------------------------------------------------------
 
-  game.settings.register(MOD_ID, "autoDetectPaths", {
-    name: "Auto-Detect HP Paths",
-    hint: "If enabled, the module attempts to automatically determine the correct data paths for HP and other attributes based on the active system. Disable this to manually configure paths below.",
-    scope: "world", config: true, type: Boolean, default: true
+  game.settings.register(MOD_ID, "autoDetectPaths", {
+    name: "TINYHP.Settings.autoDetectPaths.Name",
+    hint: "TINYHP.Settings.autoDetectPaths.Hint",
+    scope: "world", config: true, type: Boolean, default: true
+  });
+
+  game.settings.register(MOD_ID, "hpPath", {
+    name: "TINYHP.Settings.hpPath.Name",
+    hint: "TINYHP.Settings.hpPath.Hint",
+    scope: "world", config: true, type: String, default: ""
+  });
+
+  game.settings.register(MOD_ID, "tempHpPath", {
+    name: "TINYHP.Settings.tempHpPath.Name",
+    hint: "TINYHP.Settings.tempHpPath.Hint",
+    scope: "world", config: true, type: String, default: ""
+  });
+
+  game.settings.register(MOD_ID, "tempHpMaxPath", {
+    name: "TINYHP.Settings.tempHpMaxPath.Name",
+    hint: "TINYHP.Settings.tempHpMaxPath.Hint",
+    scope: "world", config: true, type: String, default: ""
+  });
+
+  game.settings.register(MOD_ID, "customTrackers", {
+    scope: "world", config: false, type: Array, default: []
   });
 
-  game.settings.register(MOD_ID, "hpPath", {
-    name: "HP Value Path",
-    hint: "Manual System Data Path for HP Value (e.g., 'system.attributes.hp.value'). Only used if Auto-Detect HP Paths is disabled or fails.",
+  game.settings.registerMenu(MOD_ID, "customTrackersMenu", {
+    name: "TINYHP.Settings.customTrackersMenu.Name",
+    label: "TINYHP.Settings.customTrackersMenu.Label",
+    hint: "TINYHP.Settings.customTrackersMenu.Hint",
+    icon: "fa-solid fa-list-check",
+    type: TrackerConfig,
+    restricted: true
+  });
+
+  game.settings.register(MOD_ID, "hpMaxPath", {
+    name: "TINYHP.Settings.hpMaxPath.Name",
+    hint: "TINYHP.Settings.hpMaxPath.Hint",
     scope: "world", config: true, type: String, default: ""
   });
 
-  game.settings.register(MOD_ID, "tempHpPath", {
-    name: "Temp HP Path",
-    hint: "Manual System Data Path for Temporary HP (e.g., 'system.attributes.hp.temp'). Only used if Auto-Detect HP Paths is disabled or fails.",
+  game.settings.register(MOD_ID, "xpPath", {
+    name: "TINYHP.Settings.xpPath.Name",
+    hint: "TINYHP.Settings.xpPath.Hint",
     scope: "world", config: true, type: String, default: ""
   });
 
-  game.settings.register(MOD_ID, "tempHpMaxPath", {
-    name: "Temp HP Max Path",
-    hint: "Manual System Data Path for Temporary HP Max (e.g., 'system.attributes.hp.tempmax'). Only used if Auto-Detect HP Paths is disabled or fails.",
+  game.settings.register(MOD_ID, "levelPath", {
+    name: "TINYHP.Settings.levelPath.Name",
+    hint: "TINYHP.Settings.levelPath.Hint",
     scope: "world", config: true, type: String, default: ""
   });
 
   game.settings.register(MOD_ID, "currencyBasePath", {
-    name: "Currency Base Path (Adv)",
-    hint: "Manual System Data Path for Currency (e.g., 'system.currency'). Use this to override the default detection if needed.",
+    name: "TINYHP.Settings.currencyBasePath.Name",
+    hint: "TINYHP.Settings.currencyBasePath.Hint",
     scope: "world", config: true, type: String, default: ""
   });
 
+  // -------------------------------------------------------------------
+  // Module API
+  // -------------------------------------------------------------------
+
+  const api = game.modules.get(MOD_ID).api = {
+    exportLog,
+    getHistory: collectHistory,
+    openHistory,
+    registerAdapter,
+    getAdapter,
+    pause: () => setPaused(true),
+    resume: () => setPaused(false),
+    isPaused,
+    withSilence,
+    getEncounters: () => foundry.utils.deepClone(getEncounterLog()),
+    startSession,
+    endSession
+  };
+
+  // Built-in systems first, so companion modules can extend or replace them
+  registerBuiltinAdapters();
+  Hooks.callAll("tinyHpMonitor.registerAdapters", api);
+
   console.log(`[${MOD_ID}] Initialized.`);
 });
 
 Hooks.once("ready", () => {
   const sample = game.actors?.contents?.[0];
   if (sample) resolvePaths(sample);
+  game.socket.on(SOCKET, handleRelayRequest);
 });
 
 // -------------------------------
@@ -298,18 +2837,21 @@ Hooks.once("ready", () => {
 // -------------------------------
 
 Hooks.on("preUpdateActor", (actor, update, options, userId) => {
-  const { hpPath, tempPath, tempMaxPath } = resolvePaths(actor);
-  const sys = game.system.id;
+  if (isSilenced(options) || !isTracked(actor)) return;
+  const { hpPath, tempPath, tempMaxPath, maxPath } = resolvePaths(actor);
+  const adapter = getAdapter();
+
+  if (canMoveMaxHp(update)) watchMaxHp(actor, options, { direct: willUpdatePath(update, maxPath) });
 
   const willHP = willUpdatePath(update, hpPath);
   const willTHP = willUpdatePath(update, tempPath);
   const willTHPMax = willUpdatePath(update, tempMaxPath);
 
-  const inspPath = (sys === "dnd5e" && getWorldBool("trackDnd5eInspiration")) ? getDnd5eInspirationPath() : null;
+  const inspPath = (adapter?.inspirationPath && getWorldBool("trackDnd5eInspiration")) ? adapter.inspirationPath : null;
   const willInsp = inspPath ? willUpdatePath(update, inspPath) : false;
 
   let currencyPayload = null;
-  if (getWorldBool("trackCurrency") && (sys === "dnd5e" || sys === "pf2e")) {
+  if (getWorldBool("trackCurrency") && (adapter?.currency || getWorldPath("currencyBasePath"))) {
     const { basePath, coins } = detectCurrencyInfo(actor);
     if (basePath && coins.length && (willUpdatePath(update, basePath) || coins.some(k => willUpdatePath(update, `${basePath}.${k}`)))) {
       currencyPayload = { basePath, coins };
@@ -317,23 +2859,34 @@ Hooks.on("preUpdateActor", (actor, update, options, userId) => {
   }
 
   let deathPayload = null;
-  if (sys === "dnd5e" && getWorldBool("trackDnd5eDeathSaves") && actor.type === "character") {
-    const { successPath, failurePath } = getDnd5eDeathPaths();
+  const death = adapter?.deathSaves;
+  if (death && getWorldBool("trackDnd5eDeathSaves") && (!death.actorTypes || death.actorTypes.includes(actor.type))) {
+    const { successPath, failurePath } = death;
     if (willUpdatePath(update, successPath) || willUpdatePath(update, failurePath)) {
       deathPayload = { oldSucc: readNumber(actor, successPath), oldFail: readNumber(actor, failurePath) };
     }
   }
 
   let spellSlotsPayload = null;
-  if (sys === "dnd5e" && getWorldBool("trackDnd5eSpellSlots", true)) {
-    const slotPaths = getDnd5eSpellSlotPaths();
-    const changedSlots = slotPaths.filter(s => willUpdatePath(update, s.path));
+  if (adapter?.spellSlots?.length && getWorldBool("trackDnd5eSpellSlots", true)) {
+    const changedSlots = adapter.spellSlots.filter(s => willUpdatePath(update, s.path));
     if (changedSlots.length > 0) {
       spellSlotsPayload = changedSlots.map(s => ({ level: s.level, path: s.path, oldValue: readNumber(actor, s.path) }));
     }
   }
 
-  if (!willHP && !willTHP && !willTHPMax && !willInsp && !currencyPayload && !deathPayload && !spellSlotsPayload) return;
+  const customTrackers = getAllTrackers().filter(t => willUpdatePath(update, t.path));
+  const customPayload = customTrackers.length
+    ? Object.fromEntries(customTrackers.map(t => [t.id, readNumber(actor, t.path)]))
+    : null;
+
+  const resourcesPayload = stashResources(actor, update, "actor");
+
+  const { xpPath, levelPath } = getProgressionPaths();
+  const willXp = willUpdatePath(update, xpPath);
+  const willLevel = willUpdatePath(update, levelPath);
+
+  if (!willHP && !willTHP && !willTHPMax && !resourcesPayload && !willInsp && !currencyPayload && !deathPayload && !spellSlotsPayload && !customPayload && !willXp && !willLevel) return;
 
   // Stash in options for the updateActor hook to pick up
   options[MOD_ID] = {
@@ -341,9 +2894,14 @@ Hooks.on("preUpdateActor", (actor, update, options, userId) => {
     oldTHP: willTHP ? readNumber(actor, tempPath) : undefined,
     oldTHPMax: willTHPMax ? readNumber(actor, tempMaxPath) : undefined,
     oldInspiration: willInsp ? Boolean(readRaw(actor, inspPath)) : undefined,
+    oldXp: willXp ? readNumber(actor, xpPath) : undefined,
+    oldLevel: willLevel ? readNumber(actor, levelPath) : undefined,
     currency: currencyPayload ? { ...currencyPayload, old: Object.fromEntries(currencyPayload.coins.map(k => [k, readNumber(actor, `${currencyPayload.basePath}.${k}`)])) } : undefined,
     deathSaves: deathPayload,
-    spellSlots: spellSlotsPayload
+    spellSlots: spellSlotsPayload,
+    resources: resourcesPayload ?? undefined,
+    custom: customPayload ?? undefined,
+    combat: getCombatContext(actor)
   };
 });
 
@@ -352,8 +2910,22 @@ Hooks.on("preUpdateActor", (actor, update, options, userId) => {
 // -------------------------------
 
 Hooks.on("updateActor", (actor, update, options, userId) => {
-  if (userId !== game.userId || !options?.[MOD_ID]) return;
+  if (userId === game.userId && canMoveMaxHp(update)) checkMaxHp(actor);
+
+  // A caller's `{ silent: true }` shares the options key with the stash
+  if (userId !== game.userId || !options?.[MOD_ID] || options[MOD_ID].silent) return;
   const payload = options[MOD_ID];
+
+  // Damage context only exists where the damage was applied. Damage soaked up by temp HP alone
+  // consumes it too, so it cannot label a later change.
+  const damage = (payload.oldHP !== undefined || payload.oldTHP !== undefined) ? takeDamageContext(actor) : null;
+  dispatchChange("actor", actor, { ...payload, damage });
+});
+
+/**
+ * Merges one actor update into the pending state of its debounce window.
+ */
+function queueActorUpdate(actor, payload) {
   const uuid = actor.uuid;
 
   // Retrieve or create pending debounce state
@@ -362,9 +2934,14 @@ Hooks.on("updateActor", (actor, update, options, userId) => {
     oldTHP: undefined,
     oldTHPMax: undefined,
     oldInspiration: undefined,
+    oldXp: undefined,
+    oldLevel: undefined,
     currencyOld: {},
     deathSavesOld: undefined,
     spellSlotsOld: {},
+    resourcesOld: {},
+    customOld: {},
+    damage: null,
     timer: null
   };
 
@@ -376,6 +2953,9 @@ Hooks.on("updateActor", (actor, update, options, userId) => {
   if (pending.oldTHP === undefined) pending.oldTHP = payload.oldTHP;
   if (pending.oldTHPMax === undefined) pending.oldTHPMax = payload.oldTHPMax;
   if (pending.oldInspiration === undefined) pending.oldInspiration = payload.oldInspiration;
+  if (pending.oldXp === undefined) pending.oldXp = payload.oldXp;
+  if (pending.oldLevel === undefined) pending.oldLevel = payload.oldLevel;
+  if (!pending.damage) pending.damage = payload.damage ?? null;
 
   if (payload.currency) {
     pending.currencyBase = payload.currency.basePath;
@@ -399,6 +2979,18 @@ Hooks.on("updateActor", (actor, update, options, userId) => {
     }
   }
 
+  if (payload.resources) {
+    for (const [key, oldValue] of Object.entries(payload.resources)) {
+      if (pending.resourcesOld[key] === undefined) pending.resourcesOld[key] = oldValue;
+    }
+  }
+
+  if (payload.custom) {
+    for (const [id, oldValue] of Object.entries(payload.custom)) {
+      if (pending.customOld[id] === undefined) pending.customOld[id] = oldValue;
+    }
+  }
+
   // Set new timer
   pending.timer = setTimeout(() => {
     processActorUpdate(actor, pending);
@@ -406,12 +2998,29 @@ Hooks.on("updateActor", (actor, update, options, userId) => {
   }, DEBOUNCE_MS);
 
   ACTOR_DEBOUNCE.set(uuid, pending);
-});
+}
+
+/**
+ * The built-in line of a numeric value: "Label: 12 - 5 → 7", or "Label: - 5" in simple output.
+ * `deltas` lists the single steps of a consolidated line, `source` is trailing source markup.
+ */
+function formatValueLine(icon, link, label, oldVal, newVal, { deltas = null, source = "" } = {}) {
+  const delta = newVal - oldVal;
+  const sign = delta > 0 ? "+" : "-";
+  const abs = Math.abs(delta);
+  let text = getWorldBool("simpleOutput")
+    ? `${label}: ${sign} ${abs}`
+    : `${label}: ${oldVal} ${sign} ${abs} → ${newVal}`;
+  if (deltas?.length > 1) text += ` (${deltas.map(d => `${d > 0 ? "+" : "−"}${Math.abs(d)}`).join(", ")})`;
+  return `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${text}</span>${source}`;
+}
 
 async function processActorUpdate(actor, data) {
-  const { hpPath, tempPath, tempMaxPath, damageSystem } = resolvePaths(actor);
+  const { hpPath, tempPath, tempMaxPath, maxPath, damageSystem } = resolvePaths(actor);
   const link = getActorLink(actor);
 
+  const damage = data.damage;
+
   // HP
   if (data.oldHP !== undefined && hpPath) {
     const newHP = readNumber(actor, hpPath);
@@ -419,16 +3028,14 @@ async function processActorUpdate(actor, data) {
     if (delta !== 0) {
       const cls = (damageSystem ? delta < 0 : delta > 0) ? "tiny-monitor-gain" : "tiny-monitor-loss";
       const icon = `<i class="fa-solid fa-heart"></i>`;
-      const sign = delta > 0 ? "+" : "-";
-      const abs = Math.abs(delta);
-      const isSimple = getWorldBool("simpleOutput");
-
-      const text = isSimple
-        ? `${damageSystem ? "Damage" : "HP"}: ${sign} ${abs}`
-        : `${damageSystem ? "Damage" : "HP"}: ${data.oldHP} ${sign} ${abs} → ${newHP}`;
-
-      const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${text}</span>`;
-      await postMonitorMessage(actor, line, cls, "hp");
+      const label = tmText(damageSystem ? "TINYHP.Label.Damage" : "TINYHP.Label.HP");
+      const source = damage?.source ?? null;
+      const sourceHtml = source ? formatDamageSource(source) : "";
+      const line = formatValueLine(icon, link, label, data.oldHP, newHP, { source: sourceHtml });
+      const wounds = describeWounds(actor, newHP, { maxPath, damageSystem });
+      const obscured = wounds ? `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${wounds}</span>${sourceHtml}` : null;
+      await postMonitorMessage(actor, line, cls, "hp", false, { source, obscured, change: { uuid: actor.uuid, path: hpPath, old: data.oldHP, new: newHP } });
+      await reportHpStates(actor, link, data.oldHP, newHP, { maxPath, damageSystem, damage });
     }
   }
 
@@ -438,16 +3045,10 @@ async function processActorUpdate(actor, data) {
     const delta = newTHP - data.oldTHP;
     if (delta !== 0) {
       const icon = `<i class="fa-solid fa-shield-halved"></i>`;
-      const sign = delta > 0 ? "+" : "-";
-      const abs = Math.abs(delta);
-      const isSimple = getWorldBool("simpleOutput");
-
-      const text = isSimple
-        ? `Temp: ${sign} ${abs}`
-        : `Temp: ${data.oldTHP} ${sign} ${abs} → ${newTHP}`;
-
-      const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${text}</span>`;
-      await postMonitorMessage(actor, line, "tiny-monitor-temp", "temp");
+      const label = tmText("TINYHP.Label.Temp");
+      const source = delta < 0 ? (damage?.source ?? null) : null;
+      const line = formatValueLine(icon, link, label, data.oldTHP, newTHP, { source: source ? formatDamageSource(source) : "" });
+      await postMonitorMessage(actor, line, "tiny-monitor-temp", "temp", false, { source, obscured: null, change: { uuid: actor.uuid, path: tempPath, old: data.oldTHP, new: newTHP } });
     }
   }
 
@@ -457,26 +3058,52 @@ async function processActorUpdate(actor, data) {
     const delta = newTHPMax - data.oldTHPMax;
     if (delta !== 0) {
       const icon = `<i class="fa-solid fa-circle-plus"></i>`;
-      const sign = delta > 0 ? "+" : "-";
-      const abs = Math.abs(delta);
-      const isSimple = getWorldBool("simpleOutput");
+      const line = formatValueLine(icon, link, tmText("TINYHP.Label.TempMax"), data.oldTHPMax, newTHPMax);
+      await postMonitorMessage(actor, line, "tiny-monitor-tempmax", "tempmax", false, { obscured: null, change: { uuid: actor.uuid, path: tempMaxPath, old: data.oldTHPMax, new: newTHPMax } });
+    }
+  }
 
-      const text = isSimple
-        ? `Temp Max: ${sign} ${abs}`
-        : `Temp Max: ${data.oldTHPMax} ${sign} ${abs} → ${newTHPMax}`;
+  // Experience & Level
+  const { xpPath, levelPath } = getProgressionPaths();
+  if (data.oldXp !== undefined && xpPath) {
+    await reportXp(actor, data.oldXp, readNumber(actor, xpPath), xpPath);
+  }
+  if (data.oldLevel !== undefined && levelPath) {
+    const newLevel = readNumber(actor, levelPath);
+    await reportLevel(actor, data.oldLevel, newLevel, { change: { uuid: actor.uuid, path: levelPath, old: data.oldLevel, new: newLevel } });
+  }
 
-      const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${text}</span>`;
-      await postMonitorMessage(actor, line, "tiny-monitor-tempmax", "tempmax");
-    }
+  // Adapter Resources (pact slots, exhaustion, legendary actions, ...)
+  await reportResources(actor, actor, data.resourcesOld, "actor");
+
+  // Custom Tracked Attributes
+  for (const tracker of getAllTrackers()) {
+    const oldVal = data.customOld?.[tracker.id];
+    if (oldVal === undefined) continue;
+
+    const newVal = readNumber(actor, tracker.path);
+    const delta = newVal - oldVal;
+    if (delta === 0) continue;
+
+    const icon = `<i class="${foundry.utils.escapeHTML(tracker.icon)}"></i>`;
+    const label = foundry.utils.escapeHTML(tracker.label);
+    const line = formatValueLine(icon, link, label, oldVal, newVal);
+    const cls = (tracker.inverted ? delta < 0 : delta > 0) ? "tiny-monitor-gain" : "tiny-monitor-loss";
+    await postMonitorMessage(actor, line, cls, "custom", false, {
+      change: { uuid: actor.uuid, path: tracker.path, old: oldVal, new: newVal },
+      audience: tracker.audience,
+      color: tracker.color
+    });
   }
 
   // Inspiration
-  if (data.oldInspiration !== undefined && game.system.id === "dnd5e") {
-    const newInsp = Boolean(readRaw(actor, getDnd5eInspirationPath()));
+  const inspPath = getAdapter()?.inspirationPath;
+  if (data.oldInspiration !== undefined && inspPath) {
+    const newInsp = Boolean(readRaw(actor, inspPath));
     if (newInsp !== data.oldInspiration) {
       const icon = `<i class="fa-solid fa-dice-d20"></i>`;
-      const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${newInsp ? "gained" : "spent"} Heroic Inspiration</span>`;
-      await postMonitorMessage(actor, line, "tiny-monitor-inspiration", "inspiration");
+      const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText(newInsp ? "TINYHP.Chat.InspirationGained" : "TINYHP.Chat.InspirationSpent")}</span>`;
+      await postMonitorMessage(actor, line, "tiny-monitor-inspiration", "inspiration", false, { change: { uuid: actor.uuid, path: inspPath, old: data.oldInspiration, new: newInsp } });
     }
   }
 
@@ -488,63 +3115,71 @@ async function processActorUpdate(actor, data) {
       const delta = newVal - oldVal;
       if (delta !== 0) {
         const icon = `<i class="fa-solid fa-coins"></i>`;
-        const sign = delta > 0 ? "+" : "-";
-        const abs = Math.abs(delta);
-        const name = coinLabel(k, game.system.id);
-        const isSimple = getWorldBool("simpleOutput");
-
-        const text = isSimple
-          ? `${name}: ${sign} ${abs}`
-          : `${name}: ${oldVal} ${sign} ${abs} → ${newVal}`;
-
-        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${text}</span>`;
+        const line = formatValueLine(icon, link, tmText(coinLabel(k, game.system.id)), oldVal, newVal);
         const cls = delta > 0 ? "tiny-monitor-currency-gain" : "tiny-monitor-currency-loss";
-        await postMonitorMessage(actor, line, cls, "currency");
+        await postMonitorMessage(actor, line, cls, "currency", false, { change: { uuid: actor.uuid, path: `${data.currencyBase}.${k}`, old: oldVal, new: newVal } });
       }
     }
   }
 
   // Death Saves
-  if (data.deathSavesOld) {
-    const { successPath, failurePath } = getDnd5eDeathPaths();
+  if (data.deathSavesOld && getAdapter()?.deathSaves) {
+    const { successPath, failurePath } = getAdapter().deathSaves;
     const newSucc = readNumber(actor, successPath);
     const newFail = readNumber(actor, failurePath);
     const oldSucc = Number(data.deathSavesOld.oldSucc ?? 0);
     const oldFail = Number(data.deathSavesOld.oldFail ?? 0);
 
+    // Outcomes: dnd5e resets both counters when the third success is rolled
+    const trackStates = getWorldBool("trackHpStates", true);
+    const stillDown = hpPath ? readNumber(actor, hpPath) <= 0 : true;
+    const stabilized = trackStates && ((newSucc >= 3 && oldSucc < 3) || (oldSucc === 2 && newSucc === 0 && newFail === 0 && stillDown));
+    const died = trackStates && newFail >= 3 && oldFail < 3;
+
     // Track successes separately
-    if (newSucc !== oldSucc) {
+    if (newSucc !== oldSucc && !stabilized) {
       const delta = newSucc - oldSucc;
       const icon = `<i class="fa-solid fa-heart-pulse"></i>`;
+      const change = { uuid: actor.uuid, path: successPath, old: oldSucc, new: newSucc };
 
       if (delta > 0) {
         // Gained success(es)
-        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">gained ${delta} Death Save ${delta === 1 ? 'Success' : 'Successes'} (${newSucc}/3)</span>`;
-        await postMonitorMessage(actor, line, "tiny-monitor-gain", "deathsave");
+        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.DeathSave.SuccessGained", { count: delta, total: newSucc })}</span>`;
+        await postMonitorMessage(actor, line, "tiny-monitor-gain", "deathsave", false, { change });
       } else {
         // Lost success(es) or reset
         const absDelta = Math.abs(delta);
-        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">lost ${absDelta} Death Save ${absDelta === 1 ? 'Success' : 'Successes'} (${newSucc}/3)</span>`;
-        await postMonitorMessage(actor, line, "tiny-monitor-loss", "deathsave");
+        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.DeathSave.SuccessLost", { count: absDelta, total: newSucc })}</span>`;
+        await postMonitorMessage(actor, line, "tiny-monitor-loss", "deathsave", false, { change });
       }
     }
 
     // Track failures separately
-    if (newFail !== oldFail) {
+    if (newFail !== oldFail && !stabilized) {
       const delta = newFail - oldFail;
       const icon = `<i class="fa-solid fa-skull"></i>`;
+      const change = { uuid: actor.uuid, path: failurePath, old: oldFail, new: newFail };
 
       if (delta > 0) {
         // Gained failure(s)
-        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">gained ${delta} Death Save ${delta === 1 ? 'Failure' : 'Failures'} (${newFail}/3)</span>`;
-        await postMonitorMessage(actor, line, "tiny-monitor-loss", "deathsave");
+        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.DeathSave.FailureGained", { count: delta, total: newFail })}</span>`;
+        await postMonitorMessage(actor, line, "tiny-monitor-loss", "deathsave", false, { change });
       } else {
         // Lost failure(s) or reset (good thing!)
         const absDelta = Math.abs(delta);
-        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">lost ${absDelta} Death Save ${absDelta === 1 ? 'Failure' : 'Failures'} (${newFail}/3)</span>`;
-        await postMonitorMessage(actor, line, "tiny-monitor-gain", "deathsave");
+        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.DeathSave.FailureLost", { count: absDelta, total: newFail })}</span>`;
+        await postMonitorMessage(actor, line, "tiny-monitor-gain", "deathsave", false, { change });
       }
     }
+
+    if (stabilized) {
+      const line = `<i class="fa-solid fa-bed-pulse"></i> <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.Stable")}</span>`;
+      await postMonitorMessage(actor, line, "tiny-monitor-stable", "hpstate", false, { values: { old: oldSucc, new: 3 } });
+    }
+    if (died) {
+      const line = `<i class="fa-solid fa-skull"></i> <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.DiedDeathSaves")}</span>`;
+      await postMonitorMessage(actor, line, "tiny-monitor-dead", "hpstate", false, { values: { old: oldFail, new: newFail } });
+    }
   }
 
   // Spell Slots
@@ -560,94 +3195,439 @@ async function processActorUpdate(actor, data) {
 
       if (delta !== 0) {
         const icon = `<i class="fa-solid fa-hat-wizard"></i>`;
-        const action = delta < 0 ? "expended" : "regained";
+        const key = delta < 0 ? "TINYHP.Chat.SpellSlotExpended" : "TINYHP.Chat.SpellSlotRegained";
         const cls = delta < 0 ? "tiny-monitor-spellslot-expend" : "tiny-monitor-spellslot-regain";
-        const absDelta = Math.abs(delta);
-        const slotWord = absDelta === 1 ? "slot" : "slots";
-        const quantityStr = absDelta > 1 ? `${absDelta} ` : "";
-        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${action} ${quantityStr}level ${level} ${slotWord}</span>`;
-        await postMonitorMessage(actor, line, cls, "spellslot");
+        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText(key, { count: Math.abs(delta), level: Number(level) })}</span>`;
+        await postMonitorMessage(actor, line, cls, "spellslot", false, { change: { uuid: actor.uuid, path: slotData.path, old: oldVal, new: newVal } });
       }
     }
   }
 }
 
+/**
+ * Posts state-transition lines for an HP change: bloodied, 0 HP, back up, and massive-damage death.
+ */
+async function reportHpStates(actor, link, oldHP, newHP, { maxPath, damageSystem, damage = null }) {
+  if (!getWorldBool("trackHpStates", true)) return;
+
+  const max = maxPath ? readNumber(actor, maxPath) : 0;
+  if (damageSystem && max <= 0) return;
+
+  // Remaining HP, also for systems that count damage upwards
+  const oldLeft = damageSystem ? max - oldHP : oldHP;
+  const newLeft = damageSystem ? max - newHP : newHP;
+  const threshold = max * Number(game.settings.get(MOD_ID, "bloodiedThreshold") ?? 50) / 100;
+
+  let state = null;
+  if (oldLeft > 0 && newLeft <= 0) {
+    const massive = getAdapter()?.massiveDamage && actor.type === "character" && damage && max > 0 && damage.overflow >= max;
+    state = massive
+      ? { cls: "tiny-monitor-dead", icon: "fa-skull", text: tmText("TINYHP.Chat.MassiveDamage", { overflow: damage.overflow }), vague: tmText("TINYHP.Chat.Died") }
+      : { cls: "tiny-monitor-down", icon: "fa-skull-crossbones", text: tmText("TINYHP.Chat.Down") };
+  }
+  else if (oldLeft <= 0 && newLeft > 0) {
+    state = { cls: "tiny-monitor-revived", icon: "fa-heart-pulse", text: tmText("TINYHP.Chat.Revived", { hp: newLeft }), vague: tmText("TINYHP.Chat.BackUp") };
+  }
+  else if (max > 0 && oldLeft > threshold && newLeft <= threshold) {
+    state = { cls: "tiny-monitor-bloodied", icon: "fa-droplet", text: tmText("TINYHP.Chat.Bloodied") };
+  }
+  if (!state) return;
+
+  const lineFor = (text) => `<i class="fa-solid ${state.icon}"></i> <span class="tm-actor">${link}</span> <span class="tm-text">${text}</span>`;
+  await postMonitorMessage(actor, lineFor(state.text), state.cls, "hpstate", false, {
+    values: { old: oldHP, new: newHP },
+    obscured: state.vague ? lineFor(state.vague) : undefined
+  });
+}
+
+// -------------------------------
+// Max HP (Derived)
+// -------------------------------
+
+/**
+ * Remembers the actor's max HP before a change that may move it. Max HP is usually derived
+ * (class levels, Constitution, Active Effects), so it is compared after actor, item and effect
+ * updates rather than only when the path itself is written.
+ */
+function watchMaxHp(actor, options, { direct = false } = {}) {
+  if (!(actor instanceof Actor) || isSilenced(options) || !isTracked(actor) || !getWorldBool("trackMaxHp", true)) return;
+  const { maxPath } = resolvePaths(actor);
+  if (!maxPath) return;
+
+  // Keep the value from before the first change in the window, unless that change never landed
+  let pending = MAX_HP_WATCH.get(actor.uuid);
+  if (!pending || Date.now() - pending.at > DAMAGE_CONTEXT_MS) {
+    pending = { old: readNumber(actor, maxPath), at: Date.now(), direct: false, source: null };
+    MAX_HP_WATCH.set(actor.uuid, pending);
+  }
+
+  // Only a written max HP can be reverted; a derived one comes back by itself
+  if (direct && !pending.direct) {
+    pending.direct = true;
+    pending.source = foundry.utils.getProperty(actor._source, maxPath) ?? null;
+  }
+}
+
+/**
+ * Whether an actor or item update can move max HP. Updates of flags (the module's own history
+ * among them), names or images cannot, and are not worth a comparison or a relay request.
+ */
+function canMoveMaxHp(update) {
+  return Object.keys(foundry.utils.flattenObject(update ?? {})).some(k => /^(system|items|effects)(\.|$)/.test(k));
+}
+
+// After the change landed: hand the old value on, the comparison happens once the window is over
+function checkMaxHp(actor) {
+  const watch = MAX_HP_WATCH.get(actor?.uuid);
+  if (!watch) return;
+  MAX_HP_WATCH.delete(actor.uuid);
+  dispatchChange("maxHp", actor, { old: watch.old, direct: watch.direct, source: watch.source });
+}
+
+function queueMaxHp(actor, data) {
+  const uuid = actor.uuid;
+  const pending = MAX_HP_DEBOUNCE.get(uuid) ?? { old: data.old, direct: false, source: null, timer: null };
+  if (pending.timer) clearTimeout(pending.timer);
+
+  if (data.direct && !pending.direct) {
+    pending.direct = true;
+    pending.source = data.source ?? null;
+  }
+
+  pending.timer = setTimeout(() => {
+    MAX_HP_DEBOUNCE.delete(uuid);
+    reportMaxHp(actor, pending);
+  }, DEBOUNCE_MS);
+
+  MAX_HP_DEBOUNCE.set(uuid, pending);
+}
+
+async function reportMaxHp(actor, pending) {
+  const { maxPath } = resolvePaths(actor);
+  const oldHPMax = pending.old;
+  const newHPMax = readNumber(actor, maxPath);
+  const delta = newHPMax - oldHPMax;
+  if (!Number.isFinite(delta) || delta === 0) return;
+
+  const icon = `<i class="fa-solid fa-heart-circle-plus"></i>`;
+  const sign = delta > 0 ? "+" : "-";
+  const abs = Math.abs(delta);
+  const label = tmText("TINYHP.Label.MaxHP");
+  const text = getWorldBool("simpleOutput")
+    ? `${label}: ${sign} ${abs}`
+    : `${label}: ${oldHPMax} ${sign} ${abs} → ${newHPMax}`;
+
+  const line = `${icon} <span class="tm-actor">${getActorLink(actor)}</span> <span class="tm-text">${text}</span>`;
+  const change = pending.direct
+    ? { uuid: actor.uuid, path: maxPath, old: pending.source, new: foundry.utils.getProperty(actor._source, maxPath) ?? null }
+    : null;
+  await postMonitorMessage(actor, line, "tiny-monitor-hpmax", "hpmax", false, { obscured: null, change, values: { old: oldHPMax, new: newHPMax } });
+}
+
+// -------------------------------
+// Damage Sources (DnD5e)
+// -------------------------------
+
+/**
+ * Returns and clears the damage context stashed for the actor, if damage was actually applied recently.
+ */
+function takeDamageContext(actor) {
+  const damage = DAMAGE_STASH.get(actor.uuid);
+  DAMAGE_STASH.delete(actor.uuid);
+  if (!damage?.applied || (Date.now() - damage.time) > DAMAGE_CONTEXT_MS) return null;
+  return damage;
+}
+
+/**
+ * Describes where damage came from: the roll message, attacker, item, damage types and how
+ * resistances changed the amount. Returns null when nothing is known.
+ */
+function describeDamageSource(damages, options = {}) {
+  const message = options.originatingMessage ?? null;
+  const speakerActor = message ? ChatMessage.getSpeakerActor(message.speaker) : null;
+  const itemUuid = message?.getFlag?.("dnd5e", "item.uuid");
+  const item = message?.getAssociatedItem?.() ?? (itemUuid ? fromUuidSync(itemUuid) : null);
+
+  const list = Array.isArray(damages) ? damages : [];
+  const types = [...new Set(list.map(d => d.type).filter(Boolean))];
+
+  // Modifier ids; formatDamageSource shows them as TINYHP.Damage.<id>
+  const modifiers = [];
+  if (list.some(d => d.active?.immunity)) modifiers.push("immune");
+  if (list.some(d => d.active?.resistance)) modifiers.push("resisted");
+  if (list.some(d => d.active?.vulnerability)) modifiers.push("vulnerable");
+  if (options.multiplier === 0.5) modifiers.push("halved");
+  else if (options.multiplier === 2) modifiers.push("doubled");
+
+  const attacker = message?.speaker?.alias ?? speakerActor?.name ?? null;
+  if (!message && !types.length && !modifiers.length) return null;
+
+  return {
+    messageId: message?.id ?? null,
+    attacker,
+    item: item?.name ?? null,
+    types,
+    modifiers
+  };
+}
+
+/**
+ * "← Goblin Scimitar, Slashing, resisted" as a fragment, so the damage types (from the system
+ * config) and modifiers show in each recipient's language.
+ */
+function formatDamageSource(source) {
+  const origin = [source.attacker, source.item].filter(Boolean).map(clipName).join(" ");
+  const items = [
+    ...(origin ? [origin] : []),
+    ...source.types.map(type => ({ configLabel: `DND5E.damageTypes.${type}`, fallback: type })),
+    ...source.modifiers.map(mod => ({ key: `TINYHP.Damage.${mod}` }))
+  ];
+  if (!items.length) return "";
+  const parts = items.flatMap((item, i) => i ? [", ", item] : [item]);
+  const label = tmText("TINYHP.Chat.Source", { parts });
+  const arrow = source.messageId
+    ? `<a class="tm-source-link" data-message-id="${source.messageId}" data-tooltip="TINYHP.Chat.ShowRoll">←</a>`
+    : "←";
+  return ` <span class="tm-source">${arrow} ${label}</span>`;
+}
+
+// Resistances / immunities are only known after dnd5e has calculated the damage.
+// This also runs for previews, so the context only counts once preApplyDamage follows.
+Hooks.on("dnd5e.calculateDamage", (actor, damages, options) => {
+  DAMAGE_STASH.set(actor.uuid, { applied: false, amount: 0, overflow: 0, time: Date.now(), source: describeDamageSource(damages, options) });
+});
+
+// dnd5e reports the full damage before HP is clamped at 0, needed for the massive damage rule
+Hooks.on("dnd5e.preApplyDamage", (actor, amount, updates, options = {}) => {
+  const temp = readNumber(actor, "system.attributes.hp.temp");
+  const value = readNumber(actor, "system.attributes.hp.value");
+  const previous = DAMAGE_STASH.get(actor.uuid);
+  const source = (previous && (Date.now() - previous.time) <= DAMAGE_CONTEXT_MS && previous.source)
+    ? previous.source
+    : describeDamageSource([], options);
+  DAMAGE_STASH.set(actor.uuid, { applied: true, amount, overflow: amount - temp - value, time: Date.now(), source });
+});
+
+// -------------------------------
+// Rest Summary (DnD5e)
+// -------------------------------
+
+function restSettingKey(trackerKey) {
+  return `restReport${trackerKey.capitalize()}`;
+}
+
+/**
+ * True if the line belongs to a rest that is summarized and its tracker is not set to also report.
+ */
+function isHeldForRest(actor, kind) {
+  const rest = RESTING.get(actor.uuid);
+  if (!rest) return false;
+  if (Date.now() > rest.until) {
+    RESTING.delete(actor.uuid);
+    return false;
+  }
+  const entry = Object.entries(REST_TRACKERS).find(([, t]) => t.kinds.includes(kind));
+  return Boolean(entry) && !getWorldBool(restSettingKey(entry[0]));
+}
+
+function snapshotRestState(actor) {
+  const adapter = getAdapter();
+  return {
+    hp: readNumber(actor, "system.attributes.hp.value"),
+    hd: readNumber(actor, "system.attributes.hd.value"),
+    pact: readNumber(actor, "system.spells.pact.value"),
+    slots: Object.fromEntries((adapter?.spellSlots ?? []).map(s => [s.level, readNumber(actor, s.path)]))
+  };
+}
+
+// "L1–L3" for consecutive levels, "L1, L3" otherwise; localized parts for a tmText argument
+function formatLevelRanges(levels) {
+  const sorted = [...levels].sort((a, b) => a - b);
+  const ranges = [];
+  for (const lvl of sorted) {
+    const last = ranges.at(-1);
+    if (last && lvl === last[1] + 1) last[1] = lvl;
+    else ranges.push([lvl, lvl]);
+  }
+  return ranges.flatMap(([a, b], i) => [
+    ...(i ? [", "] : []),
+    a === b ? { key: "TINYHP.Label.SlotLevel", data: { level: a } } : { key: "TINYHP.Label.SlotRange", data: { from: a, to: b } }
+  ]);
+}
+
+function isRestSummarized(actor) {
+  return getWorldBool("restSummary", true) && !isSilenced() && isTracked(actor);
+}
+
+Hooks.on("dnd5e.preRestCompleted", (actor, result, config) => {
+  if (isRestSummarized(actor)) dispatchChange("restStart", actor, { before: snapshotRestState(actor) });
+});
+
+Hooks.on("dnd5e.restCompleted", (actor, result, config) => {
+  if (!isRestSummarized(actor)) return;
+  dispatchChange("restEnd", actor, {
+    longRest: result?.longRest ?? (config?.type === "long"),
+    itemUses: Array.isArray(result?.updateItems) ? result.updateItems.length : 0
+  });
+});
+
+function startRest(actor, { before }) {
+  // Safety net in case another module cancels the rest and restCompleted never fires
+  RESTING.set(actor.uuid, { before, until: Date.now() + 10000 });
+}
+
+async function reportRest(actor, { longRest, itemUses }) {
+  const rest = RESTING.get(actor.uuid);
+  if (!rest) return;
+
+  // Keep holding back lines until the debounced processing of the rest update has run
+  rest.until = Date.now() + DEBOUNCE_MS * 4;
+
+  const before = rest.before;
+  const after = snapshotRestState(actor);
+  const parts = [];
+
+  if (after.hp !== before.hp) parts.push(`${tmText("TINYHP.Label.HP")} ${before.hp}→${after.hp}`);
+
+  const restored = Object.keys(after.slots).map(Number).filter(lvl => after.slots[lvl] > (before.slots[lvl] ?? 0));
+  if (restored.length) parts.push(tmText("TINYHP.Chat.Rest.Slots", { levels: formatLevelRanges(restored) }));
+  if (after.pact > before.pact) parts.push(tmText("TINYHP.Chat.Rest.PactSlots"));
+
+  const hd = after.hd - before.hd;
+  if (hd > 0) parts.push(tmText("TINYHP.Chat.Rest.HitDice", { count: hd }));
+
+  if (itemUses > 0) parts.push(tmText("TINYHP.Chat.Rest.Items", { count: itemUses }));
+
+  const link = getActorLink(actor);
+  const type = longRest ? "long" : "short";
+  const title = tmText(longRest ? "TINYHP.Chat.Rest.Long" : "TINYHP.Chat.Rest.Short");
+  const icon = `<i class="fa-solid ${longRest ? "fa-campground" : "fa-mug-hot"}"></i>`;
+  const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${title}${parts.length ? `: ${parts.join(", ")}` : ""}</span>`;
+  await postMonitorMessage(actor, line, "tiny-monitor-rest", "rest", true, { values: { old: null, new: type } });
+}
+
 // -------------------------------
 // Item Updates (Debounced)
 // -------------------------------
 
-Hooks.on("createItem", async (item, options, userId) => {
-  if (userId !== game.userId || !getWorldBool("trackItemChanges")) return;
-  if (!(item.parent instanceof Actor)) return;
+Hooks.on("preCreateItem", (item, data, options, userId) => {
+  watchMaxHp(item.parent, options);
+});
+
+Hooks.on("createItem", (item, options, userId) => {
+  if (userId === game.userId) checkMaxHp(item.parent);
+  if (userId !== game.userId || !(item.parent instanceof Actor) || isSilenced(options) || !isTracked(item.parent)) return;
+  dispatchChange("itemCreate", item, {});
+});
+
+async function reportItemCreated(item) {
+  const condition = getValuedCondition(item);
+  if (condition) {
+    await reportCondition(item.parent, item, condition, 0, readConditionValue(item, condition));
+    return;
+  }
+
+  const classLevels = getClassLevels(item);
+  if (classLevels) {
+    const levels = readNumber(item, classLevels.path);
+    await reportLevel(item.parent, 0, levels, { item, total: totalClassLevels(item.parent, classLevels) });
+    return;
+  }
+  if (!getWorldBool("trackItemChanges")) return;
 
   const qty = readNumber(item, "system.quantity") || 1;
   const link = getActorLink(item.parent);
-  const safeItemName = clipName(item.name);
+  const itemName = clipName(item.name);
+  const safeItemName = foundry.utils.escapeHTML(itemName);
   const icon = `<i class="fa-solid fa-backpack"></i>`;
 
   const isSimple = getWorldBool("simpleOutput");
 
   let line;
   if (qty === 1 || isSimple) {
-    line = `${icon} ${link} added ${safeItemName}${qty > 1 ? ` (+${qty})` : ""}`;
+    line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.Item.Added", { name: itemName })}${qty > 1 ? ` (+${qty})` : ""}</span>`;
   } else {
     // Verbose existing behavior for initial quantity > 1
-    line = `${icon} ${link} (${safeItemName}): 0 + ${qty} → ${qty}`;
+    line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${safeItemName}: 0 + ${qty} → ${qty}</span>`;
   }
 
-  await postMonitorMessage(item.parent, line, "tiny-monitor-item-inc", "item", true);
-});
+  await postMonitorMessage(item.parent, line, "tiny-monitor-item-inc", "item", true, { item, values: { old: 0, new: qty } });
+}
 
 Hooks.on("preUpdateItem", (item, change, options, userId) => {
-  if (!(item.parent instanceof Actor)) return;
+  if (canMoveMaxHp(change)) watchMaxHp(item.parent, options);
+  if (!(item.parent instanceof Actor) || isSilenced(options) || !isTracked(item.parent)) return;
   const trackItems = getWorldBool("trackItemChanges");
   const willQty = trackItems && willUpdatePath(change, "system.quantity");
   const willName = trackItems && willUpdatePath(change, "name");
+  const resources = stashResources(item, change, "item");
+  const condition = getValuedCondition(item);
+  const willCondition = Boolean(condition) && willUpdatePath(change, condition.valuePath);
+  const classLevels = getClassLevels(item);
+  const willLevels = Boolean(classLevels) && willUpdatePath(change, classLevels.path);
 
-  if (willQty || willName) {
+  if (willQty || willName || resources || willCondition || willLevels) {
     ITEM_UPDATE_STASH.set(item, {
       oldQty: willQty ? (readNumber(item, "system.quantity") || 0) : undefined,
-      oldName: willName ? String(item.name ?? "") : undefined
+      oldName: willName ? String(item.name ?? "") : undefined,
+      oldCondition: willCondition ? readConditionValue(item, condition) : undefined,
+      oldLevels: willLevels ? readNumber(item, classLevels.path) : undefined,
+      resources
     });
   }
 });
 
 Hooks.on("updateItem", (item, change, options, userId) => {
   if (userId !== game.userId || !(item.parent instanceof Actor)) return;
+  if (canMoveMaxHp(change)) checkMaxHp(item.parent);
 
   // Spell Prep
-  if (game.system.id === "dnd5e" && getWorldBool("trackDnd5eSpellPrep", true) && item.type === "spell") {
+  const trackPrep = getAdapter()?.spellPrep && getWorldBool("trackDnd5eSpellPrep", true) && !isSilenced(options) && isTracked(item.parent);
+  if (trackPrep && item.type === "spell") {
     if (willUpdatePath(change, "system.prepared") || willUpdatePath(change, "system.preparation.prepared") || willUpdatePath(change, "system.method") || willUpdatePath(change, "system.preparation.mode")) {
-      const prepared = computePreparedAfter(item, change);
-      const level = readNumber(item, "system.level");
-      const link = getActorLink(item.parent);
-      const icon = `<i class="fa-solid fa-book"></i>`;
-      const line = `${icon} ${link} ${prepared ? "prepared" : "unprepared"}: ${clipName(item.name)}${Number.isFinite(level) ? ` (Lv ${level})` : ""}`;
-      postMonitorMessage(item.parent, line, "tiny-monitor-spellprep", "spellprep", true);
+      dispatchChange("spellPrep", item, { prepared: computePreparedAfter(item, change) });
     }
   }
 
-  // Debounce Quantity/Name changes
+  // Debounce Quantity/Name/Resource changes
   const stash = ITEM_UPDATE_STASH.get(item);
   ITEM_UPDATE_STASH.delete(item);
+  if (stash) dispatchChange("itemUpdate", item, stash);
+});
 
-  if (stash) {
-    const uuid = item.uuid;
-    const pending = ITEM_DEBOUNCE.get(uuid) ?? { oldQty: undefined, oldName: undefined, timer: null };
-
-    if (pending.timer) clearTimeout(pending.timer);
+async function reportSpellPrep(item, { prepared }) {
+  const level = readNumber(item, "system.level");
+  const link = getActorLink(item.parent);
+  const icon = `<i class="fa-solid fa-book"></i>`;
+  const text = tmText(prepared ? "TINYHP.Chat.SpellPrepared" : "TINYHP.Chat.SpellUnprepared", { name: clipName(item.name) });
+  const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${text}${Number.isFinite(level) ? ` ${tmText("TINYHP.Chat.SpellLevel", { level })}` : ""}</span>`;
+  await postMonitorMessage(item.parent, line, "tiny-monitor-spellprep", "spellprep", true, { item, values: { old: !prepared, new: prepared } });
+}
 
-    if (pending.oldQty === undefined) pending.oldQty = stash.oldQty;
-    if (pending.oldName === undefined) pending.oldName = stash.oldName;
+/**
+ * Merges one item update into the pending state of its debounce window.
+ */
+function queueItemUpdate(item, stash) {
+  const uuid = item.uuid;
+  const pending = ITEM_DEBOUNCE.get(uuid) ?? { oldQty: undefined, oldName: undefined, oldCondition: undefined, oldLevels: undefined, resourcesOld: {}, timer: null };
 
-    pending.timer = setTimeout(() => {
-      processItemUpdate(item, pending);
-      ITEM_DEBOUNCE.delete(uuid);
-    }, DEBOUNCE_MS);
+  if (pending.timer) clearTimeout(pending.timer);
 
-    ITEM_DEBOUNCE.set(uuid, pending);
+  if (pending.oldQty === undefined) pending.oldQty = stash.oldQty;
+  if (pending.oldName === undefined) pending.oldName = stash.oldName;
+  if (pending.oldCondition === undefined) pending.oldCondition = stash.oldCondition;
+  if (pending.oldLevels === undefined) pending.oldLevels = stash.oldLevels;
+  for (const [key, oldValue] of Object.entries(stash.resources ?? {})) {
+    if (pending.resourcesOld[key] === undefined) pending.resourcesOld[key] = oldValue;
   }
-});
+
+  pending.timer = setTimeout(() => {
+    processItemUpdate(item, pending);
+    ITEM_DEBOUNCE.delete(uuid);
+  }, DEBOUNCE_MS);
+
+  ITEM_DEBOUNCE.set(uuid, pending);
+}
 
 async function processItemUpdate(item, data) {
   if (!item.parent) return;
@@ -655,13 +3635,32 @@ async function processItemUpdate(item, data) {
   const link = getActorLink(item.parent);
   const icon = `<i class="fa-solid fa-backpack"></i>`;
 
+  // Adapter Resources (hit dice, charges, shield HP, ...)
+  await reportResources(item.parent, item, data.resourcesOld, "item");
+
+  // Valued Conditions
+  const condition = getValuedCondition(item);
+  if (condition && data.oldCondition !== undefined) {
+    await reportCondition(item.parent, item, condition, data.oldCondition, readConditionValue(item, condition));
+  }
+
+  // Class Levels
+  const classLevels = getClassLevels(item);
+  if (classLevels && data.oldLevels !== undefined) {
+    const newLevels = readNumber(item, classLevels.path);
+    // Not revertable: writing the levels directly would skip the system's advancement (HP, hit dice, features)
+    await reportLevel(item.parent, data.oldLevels, newLevels, { item, total: totalClassLevels(item.parent, classLevels) });
+  }
+
   // Quantity
   if (data.oldQty !== undefined) {
     const oldQty = data.oldQty;
     const newQty = readNumber(item, "system.quantity") || 0;
 
     if (newQty !== oldQty) {
-      const safeItemName = clipName(item.name);
+      const itemName = clipName(item.name);
+      const safeItemName = foundry.utils.escapeHTML(itemName);
+      const change = { uuid: item.uuid, path: "system.quantity", old: oldQty, new: newQty };
 
       const delta = newQty - oldQty;
       const sign = delta > 0 ? "+" : "-";
@@ -670,11 +3669,11 @@ async function processItemUpdate(item, data) {
 
       if (oldQty === 0 && newQty === 1) {
         // Treated as pure addition
-        await postMonitorMessage(item.parent, `${icon} ${link} added ${safeItemName}`, "tiny-monitor-item-inc", "item", true);
+        await postMonitorMessage(item.parent, `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.Item.Added", { name: itemName })}</span>`, "tiny-monitor-item-inc", "item", true, { change, item });
       }
       else if (oldQty === 1 && newQty === 0) {
         // Treated as pure deletion
-        await postMonitorMessage(item.parent, `${icon} ${link} deleted ${safeItemName}`, "tiny-monitor-item-dec", "item", true);
+        await postMonitorMessage(item.parent, `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.Item.Deleted", { name: itemName })}</span>`, "tiny-monitor-item-dec", "item", true, { change, item });
       }
       else {
         // Quantity adjustment
@@ -682,16 +3681,16 @@ async function processItemUpdate(item, data) {
           ? `${sign} ${abs}`
           : `${oldQty} ${sign} ${abs} → ${newQty}`;
 
-        const line = `${icon} ${link} ${safeItemName}: ${text}`;
-        await postMonitorMessage(item.parent, line, delta > 0 ? "tiny-monitor-item-inc" : "tiny-monitor-item-dec", "item", true);
+        const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${safeItemName}: ${text}</span>`;
+        await postMonitorMessage(item.parent, line, delta > 0 ? "tiny-monitor-item-inc" : "tiny-monitor-item-dec", "item", true, { change, item });
       }
     }
   }
 
   // Rename
   if (data.oldName !== undefined && item.name !== data.oldName) {
-    const line = `${icon} ${link} Item: ${clipName(data.oldName)} → ${clipName(item.name)}`;
-    await postMonitorMessage(item.parent, line, "tiny-monitor-item", "item", true);
+    const line = `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.Item.Renamed", { old: clipName(data.oldName), new: clipName(item.name) })}</span>`;
+    await postMonitorMessage(item.parent, line, "tiny-monitor-item", "item", true, { item, change: { uuid: item.uuid, path: "name", old: data.oldName, new: item.name } });
   }
 }
 
@@ -700,44 +3699,213 @@ async function processItemUpdate(item, data) {
 // -------------------------------
 
 Hooks.on("preDeleteItem", (item, options, userId) => {
-  if (!getWorldBool("trackItemChanges")) return;
-  if (!(item.parent instanceof Actor)) return;
+  watchMaxHp(item.parent, options);
+});
 
-  ITEM_DELETE_STASH.set(item, {
-    link: getActorLink(item.parent),
-    whisper: buildRecipients(item.parent),
-    name: clipName(item.name),
-    qty: readNumber(item, "system.quantity"),
-    hasQty: foundry.utils.hasProperty(item, "system.quantity")
-  });
+Hooks.on("deleteItem", (item, options, userId) => {
+  if (userId === game.userId) checkMaxHp(item.parent);
+  if (userId !== game.userId || !(item.parent instanceof Actor) || isSilenced(options) || !isTracked(item.parent)) return;
+  dispatchChange("itemDelete", item.parent, { item: item.toObject() });
 });
 
-Hooks.on("deleteItem", async (item, options, userId) => {
-  if (userId !== game.userId || !getWorldBool("trackItemChanges")) return;
-  const payload = ITEM_DELETE_STASH.get(item);
-  ITEM_DELETE_STASH.delete(item);
-  if (!payload) return;
+async function reportItemDeleted(actor, data) {
+  // The item is gone (on the GM's side already when relayed), so a temporary copy stands in for it
+  const item = new CONFIG.Item.documentClass(data.item, { parent: actor });
+
+  const condition = getValuedCondition(item);
+  if (condition) {
+    await reportCondition(actor, item, condition, readConditionValue(item, condition), 0);
+    return;
+  }
+  const classLevels = getClassLevels(item);
+  if (classLevels) {
+    await reportLevel(actor, readNumber(item, classLevels.path), 0, { item, total: totalClassLevels(actor, classLevels, { without: item.id }) });
+    return;
+  }
+  if (!getWorldBool("trackItemChanges")) return;
 
-  const { hasQty, qty, link, whisper, name } = payload;
-  const oldQty = Number(qty ?? 0);
+  const oldQty = readNumber(item, "system.quantity");
+  const hasQty = foundry.utils.hasProperty(item, "system.quantity");
 
   // Suppress deletion message if item tracks quantity but was already 0
   if (hasQty && oldQty === 0) return;
 
   const treatAsSingleton = !hasQty || oldQty <= 1;
+  const link = getActorLink(actor);
+  const name = clipName(item.name);
   const icon = `<i class="fa-solid fa-backpack"></i>`;
 
   const line = (treatAsSingleton || getWorldBool("simpleOutput"))
-    ? `${icon} ${link} deleted ${name}`
-    : `${icon} ${link} ${name}: ${oldQty} - ${oldQty} → 0`;
+    ? `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${tmText("TINYHP.Chat.Item.Deleted", { name })}</span>`
+    : `${icon} <span class="tm-actor">${link}</span> <span class="tm-text">${foundry.utils.escapeHTML(name)}: ${oldQty} - ${oldQty} → 0</span>`;
 
-  await ChatMessage.create({
-    content: `<div class="tiny-monitor-line tm-multiline">${line}</div>`,
-    whisper,
-    flags: { [MOD_ID]: { isMonitorMsg: true, kind: "item", cls: "tiny-monitor-item-dec" } }
+  await postMonitorMessage(actor, line, "tiny-monitor-item-dec", "item", true, { item, values: { old: hasQty ? oldQty : 1, new: 0 } });
+}
+
+// -------------------------------
+// Actor Sheet Header
+// -------------------------------
+
+Hooks.on("getHeaderControlsActorSheetV2", (app, controls) => {
+  const actor = app.document;
+  if (!actor?.isOwner) return;
+  controls.push({
+    icon: "fa-solid fa-clock-rotate-left",
+    label: "TINYHP.History.Title",
+    action: "tinyHpMonitorHistory",
+    onClick: () => openHistory(actor)
+  });
+  if (!game.user.isGM) return;
+  const tracked = isTracked(actor);
+  controls.push({
+    icon: tracked ? "fa-solid fa-eye-slash" : "fa-solid fa-eye",
+    label: tracked ? "TINYHP.Tracking.Disable" : "TINYHP.Tracking.Enable",
+    action: "tinyHpMonitorTracking",
+    onClick: () => toggleTracking(actor)
+  });
+});
+
+Hooks.on("getActorSheetHeaderButtons", (app, buttons) => {
+  const actor = app.document ?? app.actor;
+  if (!actor?.isOwner) return;
+  buttons.unshift({
+    label: "TINYHP.History.Button",
+    class: "tiny-monitor-history",
+    icon: "fa-solid fa-clock-rotate-left",
+    onclick: () => openHistory(actor)
+  });
+  if (!game.user.isGM) return;
+  buttons.unshift({
+    label: "TINYHP.Tracking.Button",
+    class: "tiny-monitor-tracking",
+    icon: isTracked(actor) ? "fa-solid fa-eye" : "fa-solid fa-eye-slash",
+    onclick: () => toggleTracking(actor)
   });
 });
 
+// -------------------------------
+// Scene Control (Pause Toggle)
+// -------------------------------
+
+Hooks.on("getSceneControlButtons", (controls) => {
+  if (!game.user.isGM) return;
+  const tokens = controls.tokens;
+  if (!tokens?.tools) return;
+  tokens.tools.tinyHpMonitorPause = {
+    name: "tinyHpMonitorPause",
+    title: "TINYHP.Pause.Tool",
+    icon: "fa-solid fa-comment-slash",
+    order: Object.keys(tokens.tools).length,
+    toggle: true,
+    active: isPaused(),
+    onChange: (event, active) => setPaused(active)
+  };
+  tokens.tools.tinyHpMonitorSession = {
+    name: "tinyHpMonitorSession",
+    title: isSessionRunning() ? "TINYHP.Session.End" : "TINYHP.Session.Start",
+    icon: "fa-solid fa-scroll",
+    order: Object.keys(tokens.tools).length,
+    toggle: true,
+    active: isSessionRunning(),
+    onChange: (event, active) => active ? startSession() : endSession()
+  };
+});
+
+// -------------------------------
+// Active Effects & Conditions (Debounced)
+// -------------------------------
+
+// The actor an effect applies to: its parent, or the owning actor for transferred item effects
+function getEffectActor(effect) {
+  const parent = effect.parent;
+  if (parent instanceof Actor) return parent;
+  if (effect.transfer && parent?.parent instanceof Actor) return parent.parent;
+  return null;
+}
+
+function effectState(effect) {
+  return effect.disabled ? "disabled" : "active";
+}
+
+function dispatchEffectChange(effect, before, after) {
+  const actor = getEffectActor(effect);
+  if (!actor || !isTracked(actor)) return;
+  dispatchChange("effect", actor, { id: effect.id, name: effect.name, uuid: effect.uuid, before, after });
+}
+
+/**
+ * Records the transition of one effect. The state before the first change in the window is kept,
+ * so an effect that is added and removed again within the debounce produces no message.
+ */
+function queueEffectChange(actor, { id, name, uuid: effectUuid, before, after }) {
+  const uuid = actor.uuid;
+  const pending = EFFECT_DEBOUNCE.get(uuid) ?? { effects: new Map(), timer: null };
+  if (pending.timer) clearTimeout(pending.timer);
+
+  const entry = pending.effects.get(id) ?? { name, uuid: effectUuid, before };
+  entry.after = after;
+  pending.effects.set(id, entry);
+
+  pending.timer = setTimeout(() => {
+    processEffectChanges(actor, pending);
+    EFFECT_DEBOUNCE.delete(uuid);
+  }, DEBOUNCE_MS);
+
+  EFFECT_DEBOUNCE.set(uuid, pending);
+}
+
+async function processEffectChanges(actor, data) {
+  const link = getActorLink(actor);
+  const actions = {
+    applied: { icon: "fa-bolt", cls: "tiny-monitor-effect-on", names: [] },
+    enabled: { icon: "fa-toggle-on", cls: "tiny-monitor-effect-on", names: [] },
+    disabled: { icon: "fa-toggle-off", cls: "tiny-monitor-effect-off", names: [] },
+    removed: { icon: "fa-ban", cls: "tiny-monitor-effect-off", names: [] }
+  };
+
+  for (const { name: effectName, uuid, before, after } of data.effects.values()) {
+    if (before === after) continue;
+    const name = foundry.utils.escapeHTML(clipName(effectName));
+    let action;
+    if (before === "absent") action = "applied";
+    else if (after === "absent") action = "removed";
+    else action = after === "active" ? "enabled" : "disabled";
+
+    // Removed effects no longer resolve, so only living ones are linked
+    actions[action].names.push(after === "absent" ? name : `@UUID[${uuid}]{${name}}`);
+  }
+
+  for (const [action, { icon, cls, names }] of Object.entries(actions)) {
+    if (!names.length) continue;
+    const line = `<i class="fa-solid ${icon}"></i> <span class="tm-actor">${link}</span> <span class="tm-text">${tmText(`TINYHP.Chat.Effect.${action}`)}: ${names.join(", ")}</span>`;
+    await postMonitorMessage(actor, line, cls, "effect", true, { values: { old: null, new: action } });
+  }
+}
+
+// Effects can change max HP whether or not effect messages are on
+Hooks.on("preCreateActiveEffect", (effect, data, options, userId) => watchMaxHp(getEffectActor(effect), options));
+Hooks.on("preUpdateActiveEffect", (effect, change, options, userId) => watchMaxHp(getEffectActor(effect), options));
+Hooks.on("preDeleteActiveEffect", (effect, options, userId) => watchMaxHp(getEffectActor(effect), options));
+
+Hooks.on("createActiveEffect", (effect, options, userId) => {
+  if (userId === game.userId) checkMaxHp(getEffectActor(effect));
+  if (userId !== game.userId || isSilenced(options) || !getWorldBool("trackEffects", true)) return;
+  dispatchEffectChange(effect, "absent", effectState(effect));
+});
+
+Hooks.on("updateActiveEffect", (effect, change, options, userId) => {
+  if (userId === game.userId) checkMaxHp(getEffectActor(effect));
+  if (userId !== game.userId || isSilenced(options) || !getWorldBool("trackEffects", true)) return;
+  if (!willUpdatePath(change, "disabled")) return;
+  dispatchEffectChange(effect, effect.disabled ? "active" : "disabled", effectState(effect));
+});
+
+Hooks.on("deleteActiveEffect", (effect, options, userId) => {
+  if (userId === game.userId) checkMaxHp(getEffectActor(effect));
+  if (userId !== game.userId || isSilenced(options) || !getWorldBool("trackEffects", true)) return;
+  dispatchEffectChange(effect, effectState(effect), "absent");
+});
+
 Hooks.on("renderChatMessage", (message, html) => {
   if (!message.getFlag(MOD_ID, "isMonitorMsg")) return;
   const li = html[0]?.closest?.(".chat-message") ?? html?.closest?.(".chat-message") ?? html;
@@ -746,4 +3914,42 @@ Hooks.on("renderChatMessage", (message, html) => {
   li.classList.add("tiny-monitor-msg");
   const cls = message.getFlag(MOD_ID, "cls");
   if (cls) li.classList.add(cls);
+  const color = message.getFlag(MOD_ID, "color");
+  if (color) li.style.backgroundColor = color;
+
+  // Render the text in this client's language rather than the poster's
+  localizeFragments(li);
+
+  // Jump to the roll that caused the damage
+  for (const a of li.querySelectorAll(".tm-source-link[data-message-id]")) {
+    a.addEventListener("click", (event) => {
+      event.preventDefault();
+      const target = ui.chat?.element?.querySelector(`[data-message-id="${a.dataset.messageId}"]`);
+      if (target) target.scrollIntoView({ behavior: "smooth", block: "center" });
+      else ui.notifications.info("TINYHP.Chat.RollGone", { localize: true });
+    });
+  }
+
+  // When in combat it happened
+  const line = li.querySelector(".tiny-monitor-line");
+  const combat = message.getFlag(MOD_ID, "combat");
+  if (combat && line) line.dataset.tooltip = formatCombatContext(combat);
+
+  // GM-only Revert control
+  if (!game.user.isGM || !line || !canRevertMessage(message)) return;
+
+  const reverted = Boolean(message.getFlag(MOD_ID, "reverted"));
+  const btn = document.createElement("a");
+  btn.classList.add("tm-revert");
+  if (reverted) btn.classList.add("tm-reverted");
+  btn.dataset.tooltip = reverted ? "TINYHP.Revert.Reverted" : "TINYHP.Revert.Button";
+  btn.innerHTML = `<i class="fa-solid fa-rotate-left"></i>`;
+  if (!reverted) {
+    btn.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      revertMonitorMessage(message);
+    });
+  }
+  line.append(btn);
 });
\ No newline at end of file